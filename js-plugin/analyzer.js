@@ -0,0 +1,775 @@
+// Per-file analysis: parsing, metrics and per-file call graphs. Loaded by the server and by the
+// analysis workers, so it must not have side effects (no server, stores or caches).
+const parser = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+const generate = require('@babel/generator').default;
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { collectCalls, collectExports, buildCallGraph } = require('./callgraph');
+const { collectClass, summarizeClass, computeInheritanceDepth } = require('./classes');
+const { importOf } = require('./depgraph');
+const { normalizeTokens } = require('./clones');
+const { SFC_EXTENSIONS, isSingleFileComponent, extractScripts } = require('./sfc');
+const { collectSuppressions, applySuppressions } = require('./suppressions');
+
+const TYPESCRIPT_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts'];
+const CODE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', ...TYPESCRIPT_EXTENSIONS, ...SFC_EXTENSIONS];
+
+/**
+ * Babel plugin sets to try, in order, as { syntax, plugins }. TypeScript and Flow can't be
+ * enabled together, and neither can the two decorator proposals, so JavaScript falls back
+ * from TypeScript-style annotations to Flow (Flow first when the file starts with an @flow
+ * pragma), and legacy decorators (which allow parameter decorators) fall back to the
+ * standard proposal.
+ */
+function parserPluginSets(code, fileName, typescript = false) {
+    const ext = path.extname(fileName ?? '').toLowerCase();
+    const common = ['classProperties', 'classPrivateProperties', 'objectRestSpread'];
+
+    let syntaxes;
+    if (typescript || TYPESCRIPT_EXTENSIONS.includes(ext)) {
+        // No JSX outside .tsx: it would clash with <Type>value casts
+        syntaxes = [{ syntax: 'typescript', plugins: ext === '.tsx' ? ['jsx', 'typescript'] : ['typescript'] }];
+    } else {
+        const leadingComments = code.match(/^(?:\s*(?:\/\/[^\n]*|\/\*[\s\S]*?\*\/))*/)[0];
+        const ts = { syntax: 'javascript', plugins: ['jsx', 'typescript'] };
+        const flow = { syntax: 'flow', plugins: ['jsx', ['flow', { all: true }]] };
+        syntaxes = /@flow\b/.test(leadingComments) ? [flow, ts] : [ts, flow];
+    }
+
+    return syntaxes.flatMap(({ syntax, plugins }) => ['decorators-legacy', 'decorators'].map(decorators => ({
+        syntax,
+        plugins: [...plugins, decorators, ...common]
+    })));
+}
+
+// Parse with the first plugin set that accepts the code; if none does, the first set's error is thrown
+function parseSource(code, fileName, typescript, errorRecovery = false) {
+    let firstError = null;
+    for (const { syntax, plugins } of parserPluginSets(code, fileName, typescript)) {
+        try {
+            const ast = parser.parse(code, {
+                sourceType: 'module',
+                plugins,
+                ranges: true,
+                locations: true,
+                allowReturnOutsideFunction: true,
+                tokens: true,
+                errorRecovery
+            });
+            return { ast, syntax };
+        } catch (error) {
+            firstError ??= error;
+        }
+    }
+    throw firstError;
+}
+
+// Retries before a file with syntax errors is given up on
+const MAX_RECOVERY_ATTEMPTS = 20;
+// Errors Babel recovers from but that @babel/traverse's scope tracking still rejects
+const UNTRAVERSABLE_ERRORS = new Set(['VarRedeclaration']);
+
+/**
+ * Parse code that may have syntax errors. Babel's errorRecovery keeps going past errors
+ * like redeclarations; for the ones it can't get past, the offending line is blanked out
+ * (positions elsewhere are unchanged) and the parse retried, so the rest of the file still
+ * gets analyzed. Returns { ast, syntax, errors, skippedLines }; when the file can't be
+ * recovered the first error is thrown, with every error met on the way as `errors`.
+ */
+function parseTolerant(code, fileName, typescript) {
+    try {
+        return { ...parseSource(code, fileName, typescript), errors: [], skippedLines: [] };
+    } catch (error) {
+        if (!error.loc) throw error;
+    }
+
+    const errors = [];
+    const skippedLines = [];
+    const lines = code.split('\n');
+
+    function skipLineOf(error) {
+        // Errors at the end of the input point past the last line with code
+        let line = error.loc.line;
+        while (line > 1 && !lines[line - 1].trim()) line--;
+        if (!lines[line - 1].trim()) return false;
+        lines[line - 1] = lines[line - 1].replace(/[^\r]/g, ' ');
+        skippedLines.push(line);
+        return true;
+    }
+
+    for (let attempt = 0; attempt < MAX_RECOVERY_ATTEMPTS; attempt++) {
+        let parsed;
+        try {
+            parsed = parseSource(lines.join('\n'), fileName, typescript, true);
+        } catch (error) {
+            if (!error.loc) throw error;
+            errors.push(error);
+            if (!skipLineOf(error)) break;
+            continue;
+        }
+
+        const untraversable = parsed.ast.errors.filter(e => UNTRAVERSABLE_ERRORS.has(e.reasonCode));
+        if (untraversable.length > 0) {
+            errors.push(...untraversable);
+            untraversable.forEach(skipLineOf);
+            continue;
+        }
+        // Nothing left to analyze
+        if (!lines.some(line => line.trim())) break;
+
+        return { ...parsed, errors: [...errors, ...parsed.ast.errors], skippedLines: skippedLines.sort((a, b) => a - b) };
+    }
+
+    const error = errors[0];
+    error.errors = errors;
+    throw error;
+}
+
+// Babel error as { line, column, message, reason, frame }; frame shows the surrounding source
+function toDiagnostic(error, source) {
+    const { line, column } = error.loc;
+    const lines = source.split('\n');
+    const first = Math.max(1, line - 2);
+    const last = Math.min(lines.length, line + 2);
+    const width = String(last).length;
+
+    const frame = [];
+    for (let n = first; n <= last; n++) {
+        const text = (lines[n - 1] ?? '').replace(/\r$/, '');
+        frame.push(`${n === line ? '>' : ' '} ${String(n).padStart(width)} | ${text}`);
+        if (n === line) frame.push(`  ${' '.repeat(width)} | ${text.slice(0, column).replace(/[^\t]/g, ' ')}^`);
+    }
+
+    return {
+        line,
+        column,
+        message: error.message.replace(/ \(\d+:\d+\)$/, ''),
+        reason: error.reasonCode ?? null,
+        frame: frame.join('\n')
+    };
+}
+
+/**
+ * Parse a source string and compute per-function and file-level metrics.
+ * Options:
+ *   fileName    - picks the parser syntax (.ts, .tsx, Flow, ...) and extracts the script
+ *                 blocks of .vue/.svelte/.astro components, keeping their original line numbers
+ *   explain     - attach the list of cognitive complexity increments to each function
+ *   tokenStream - attach the normalized token stream used for clone detection
+ */
+function calculateMetrics(source, options = {}) {
+    try {
+        // Components: script blocks only, with the markup blanked out so positions still match the file.
+        // Each block is parsed on its own (they are separate modules) and the results are merged.
+        const component = isSingleFileComponent(options.fileName) ? extractScripts(source, options.fileName) : null;
+        const code = component ? component.code : source;
+        const programs = (component ? component.programs : [{ code: source }])
+            .map(program => parseTolerant(program.code, options.fileName, program.typescript));
+        const syntax = programs[0].syntax;
+        const errors = programs.flatMap(program => program.errors);
+        const skippedLines = programs.flatMap(program => program.skippedLines).sort((a, b) => a - b);
+        const byPosition = (a, b) => a.start - b.start;
+
+        // Code tokens only (Babel mixes comments and EOF into ast.tokens), ordered by position
+        const tokens = programs.flatMap(program => program.ast.tokens || []).filter(t =>
+            t.type !== 'CommentLine' && t.type !== 'CommentBlock' && t.type?.label !== 'eof'
+        ).sort(byPosition);
+
+        const metrics = {
+            language: component ? path.extname(options.fileName).slice(1).toLowerCase() : syntax,
+            ...(component ? { scriptBlocks: component.blocks } : {}),
+            // Syntax errors and unusable suppression comments; partial when lines had to be left out to parse the rest
+            partial: skippedLines.length > 0,
+            diagnostics: errors.map(e => toDiagnostic(e, source)),
+            ...(skippedLines.length > 0 ? { skippedLines } : {}),
+            LOC: code.split('\n').length,
+            NLOC: code.split('\n').filter(l => l.trim()).length,
+            NOF: 0,
+            functions: [],
+            imports: []
+        };
+
+        const callEntries = []; // Parallel to metrics.functions: { id, node, calls }
+        const longNames = new Map(); // function node -> qualified name, for naming nested functions
+        const classInfos = [];
+        const exportsMap = new Map();
+
+        const visitor = {
+            enter(p) {
+                if (p.isProgram()) {
+                    for (const [name, node] of collectExports(p)) exportsMap.set(name, node);
+                    return;
+                }
+
+                const dependency = importOf(p);
+                if (dependency) metrics.imports.push(dependency);
+
+                if (p.isClass()) {
+                    const line = p.node.loc?.start?.line ?? null;
+                    classInfos.push(collectClass(p, containerName(p) ?? `anonymous class (line ${line})`, exportsMap));
+                    return;
+                }
+
+                // Only handle function-like nodes (covers FunctionDeclaration/Expression, Arrow, ObjectMethod, ClassMethod)
+                if (!p.isFunction()) return;
+
+                // Prefer the function node itself for start/end
+                const fnNode = p.node;
+
+                // Name resolution
+                const { name: functionName, longName } = resolveFunctionName(p, longNames);
+                longNames.set(fnNode, longName);
+
+                // Safe slice by character range (no manual line/column math!)
+                const start = fnNode.start ?? 0;
+                const end = fnNode.end ?? code.length;
+                const functionCode = code.slice(start, end);
+
+                const lineStart = fnNode.loc?.start?.line ?? null;
+                const lineEnd = fnNode.loc?.end?.line ?? null;
+
+                metrics.NOF += 1;
+                // Calculate base nesting from ancestors
+                let baseNesting = 0;
+                let curr = p.parentPath;
+                while (curr) {
+                    if (curr.isFunction() ||
+                        curr.isIfStatement() ||
+                        curr.isForStatement() || curr.isForInStatement() || curr.isForOfStatement() ||
+                        curr.isWhileStatement() || curr.isDoWhileStatement() ||
+                        curr.isSwitchStatement() ||
+                        curr.isCatchClause()) {
+
+                        // Handle Else If: if parent is If and we are alternate, don't increment IF parent is implicitly handling it?
+                        // Actually, standard nesting rules: "else if" logic is local.
+                        // Standard nesting increases for Function, If, Loop, Switch, Catch.
+                        // For callbacks, we count the Function boundary as a nesting increment.
+                        baseNesting++;
+                    }
+                    curr = curr.parentPath;
+                }
+
+                // Recursion is added after the call graph is built (see addRecursionIncrement)
+                const { complexity: cognitive, maxNesting, increments } = calculateCognitiveComplexity(p, baseNesting);
+
+                const nloc = functionCode.split('\n').filter(l => l.trim()).length;
+                const cyclomatic = calculateCyclomaticComplexity(p);
+                const halstead = calculateHalstead(tokens, start, end);
+
+                const id = `${functionName}:${lineStart}:${fnNode.loc?.start?.column ?? 0}`;
+                callEntries.push({ id, node: fnNode, calls: collectCalls(p) });
+
+                metrics.functions.push({
+                    id,
+                    name: functionName,
+                    longName,
+                    NLOC: nloc,
+                    CC: cognitive, // Kept for existing consumers; same value as cognitive_complexity
+                    cognitive_complexity: cognitive,
+                    cyclomatic_complexity: cyclomatic,
+                    tokenCount: countTokensInRange(tokens, start, end),
+                    parameterCount: fnNode.params.length,
+                    maxNestingDepth: maxNesting,
+                    halstead,
+                    maintainabilityIndex: calculateMaintainabilityIndex(halstead.volume, cyclomatic, nloc),
+                    fanIn: 0,
+                    fanOut: 0,
+                    recursive: false,
+                    fingerprint: fingerprintTokens(tokens, start, end),
+                    lineStart,
+                    lineEnd,
+                    ...(options.explain ? { increments } : {})
+                });
+            }
+        };
+        for (const { ast } of programs) traverse(ast, visitor);
+
+        // Call graph: fan-in/out per function, and the recursion increment for every function in a cycle
+        const callGraph = buildCallGraph(callEntries, exportsMap);
+        callGraph.functions.forEach((node, i) => {
+            metrics.functions[i].fanIn = node.fanIn;
+            metrics.functions[i].fanOut = node.fanOut;
+        });
+        const byId = new Map(metrics.functions.map(f => [f.id, f]));
+        for (const cycle of callGraph.cycles) {
+            for (const id of cycle) {
+                addRecursionIncrement(byId.get(id), findCycleCallSite(callGraph.edges, id, cycle));
+            }
+        }
+        metrics.callGraph = callGraph;
+
+        // Class-level OO metrics (WMC, LCOM, DIT within this file)
+        const recordByNode = new Map(callEntries.map((e, i) => [e.node, metrics.functions[i]]));
+        metrics.classes = classInfos.map(info => summarizeClass(info, node => recordByNode.get(node)));
+        computeInheritanceDepth([{ fileName: '', classes: metrics.classes }]);
+
+        // complexity-ignore-next-line, complexity-disable/enable and @complexity-ignore comments
+        const comments = programs.flatMap(program => program.ast.comments ?? []).sort(byPosition);
+        const suppressions = collectSuppressions(comments, code.split('\n'));
+        applySuppressions(metrics.functions, metrics.classes, suppressions.directives);
+        for (const { line, column, message } of suppressions.errors) {
+            metrics.diagnostics.push(toDiagnostic({ loc: { line, column }, message, reasonCode: 'InvalidSuppression' }, source));
+        }
+
+        if (options.tokenStream) metrics.tokenStream = normalizeTokens(tokens);
+
+        // File-level rollups
+        metrics.cognitive_complexity = summarize(metrics.functions.map(f => f.cognitive_complexity));
+        metrics.cyclomatic_complexity = summarize(metrics.functions.map(f => f.cyclomatic_complexity));
+        metrics.halstead = calculateHalstead(tokens);
+        // Whole-file MI: file volume, total decision points and file NLOC
+        metrics.maintainabilityIndex = calculateMaintainabilityIndex(
+            metrics.halstead.volume,
+            metrics.cyclomatic_complexity.sum,
+            metrics.NLOC
+        );
+
+        return metrics;
+    } catch (error) {
+        console.error('Error parsing code:', error);
+        if (error.loc) error.diagnostics = (error.errors ?? [error]).map(e => toDiagnostic(e, source));
+        throw error;
+    }
+}
+
+// Display form of a property/method key: identifiers, literals, #private and [computed]
+function describeKey(key, computed = false) {
+    if (computed) return `[${generate(key).code}]`;
+    if (key.type === 'Identifier') return key.name;
+    if (key.type === 'PrivateName') return `#${key.id.name}`;
+    if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') return String(key.value);
+    return generate(key).code;
+}
+
+// Name of the class or object literal that owns a member, when it has one
+function containerName(containerPath) {
+    if (!containerPath) return null;
+    if (containerPath.isClass() && containerPath.node.id) return containerPath.node.id.name;
+
+    const par = containerPath.parentPath;
+    if (par?.isVariableDeclarator() && par.node.id.type === 'Identifier') return par.node.id.name; // const Foo = class {} / const o = {}
+    if (par?.isExportDefaultDeclaration()) return 'default export';
+    if (par?.isAssignmentExpression() && containerPath.key === 'right') return generate(par.node.left).code; // module.exports = {}
+    if (par?.isObjectProperty() && containerPath.key === 'value') {
+        // Nested object literal: config.handlers
+        const key = describeKey(par.node.key, par.node.computed);
+        const outer = containerName(par.parentPath);
+        return qualifyMember(outer, key);
+    }
+    return null;
+}
+
+// owner.member, or owner[computed]
+function qualifyMember(owner, member) {
+    if (!owner) return member;
+    return member.startsWith('[') ? `${owner}${member}` : `${owner}.${member}`;
+}
+
+function calleeName(callee) {
+    if (callee.type === 'Identifier') return callee.name;
+    if (callee.type === 'MemberExpression' || callee.type === 'OptionalMemberExpression') {
+        return describeKey(callee.property, callee.computed);
+    }
+    return 'call';
+}
+
+/**
+ * Short and qualified name of a function-like path.
+ * Qualified names carry the owning class/object (UserService.login, UserService.get email),
+ * the assignment target (module.exports.foo) or the call a callback is passed to
+ * (then callback (line 42)), prefixed by the enclosing function's qualified name.
+ * longNames maps already-visited function nodes to their qualified name.
+ */
+function resolveFunctionName(p, longNames) {
+    const node = p.node;
+    const par = p.parentPath;
+    const line = node.loc?.start?.line ?? null;
+    let name = null;
+    let qualified = null;
+
+    if (p.isClassMethod() || p.isClassPrivateMethod() || p.isObjectMethod()) {
+        // class X { foo() {} }, { get foo() {} }, class X { #foo() {} }
+        name = describeKey(node.key, node.computed);
+        const accessor = node.kind === 'get' || node.kind === 'set' ? `${node.kind} ` : '';
+        const owner = p.isObjectMethod() ? containerName(par) : containerName(par.parentPath);
+        qualified = accessor ? qualifyMember(owner, `${accessor}${name}`) : qualifyMember(owner, name);
+    } else if (node.id) {
+        name = qualified = node.id.name;                                   // function foo() {}
+    } else if (par?.isVariableDeclarator() && par.node.id.type === 'Identifier') {
+        name = qualified = par.node.id.name;                               // const foo = () => {}
+    } else if (par?.isObjectProperty() && p.key === 'value') {
+        name = describeKey(par.node.key, par.node.computed);               // const o = { foo: () => {} }
+        const owner = containerName(par.parentPath);
+        qualified = qualifyMember(owner, name);
+    } else if ((par?.isClassProperty() || par?.isClassPrivateProperty()) && p.key === 'value') {
+        name = describeKey(par.node.key, par.node.computed);               // class X { foo = () => {} }
+        const owner = containerName(par.parentPath.parentPath);
+        qualified = qualifyMember(owner, name);
+    } else if (par?.isAssignmentExpression() && p.key === 'right') {
+        const left = par.node.left;                                        // obj.handler = () => {}
+        name = left.type === 'MemberExpression' ? describeKey(left.property, left.computed) : generate(left).code;
+        qualified = generate(left).code;
+    } else if (par?.isExportDefaultDeclaration()) {
+        name = qualified = 'default export';                               // export default function () {}
+    } else if ((par?.isCallExpression() || par?.isOptionalCallExpression() || par?.isNewExpression()) && p.key === 'callee') {
+        name = 'IIFE';                                                     // (function () {})()
+        qualified = `IIFE (line ${line})`;
+    } else if ((par?.isCallExpression() || par?.isOptionalCallExpression() || par?.isNewExpression()) && p.listKey === 'arguments') {
+        name = `${calleeName(par.node.callee)} callback`;                  // promise.then(() => {})
+        qualified = `${name} (line ${line})`;
+    }
+
+    name ??= 'anonymous';
+    qualified ??= `anonymous (line ${line})`;
+
+    const outer = par?.getFunctionParent();
+    if (outer && longNames.has(outer.node)) {
+        qualified = `${longNames.get(outer.node)} → ${qualified}`;
+    }
+
+    return { name, longName: qualified };
+}
+
+// First call from `id` into another member of its cycle
+function findCycleCallSite(edges, id, cycle) {
+    return edges.find(e => e.from === id && cycle.includes(e.to)) ?? null;
+}
+
+// B1: +1 for each function in a recursion cycle (direct or indirect)
+function addRecursionIncrement(fn, site) {
+    if (fn.recursive) return;
+    fn.recursive = true;
+    fn.CC += 1;
+    fn.cognitive_complexity += 1;
+
+    if (fn.increments) {
+        const entry = {
+            line: site?.line ?? fn.lineStart,
+            column: site?.column ?? null,
+            type: 'recursion',
+            category: 'fundamental',
+            nesting: 0,
+            increment: 1
+        };
+        // Keep increments in source order
+        const at = fn.increments.findIndex(i => i.line > entry.line || (i.line === entry.line && i.column > entry.column));
+        fn.increments.splice(at === -1 ? fn.increments.length : at, 0, entry);
+    }
+}
+
+// Number of tokens fully inside [start, end)
+function countTokensInRange(tokens, start, end) {
+    return tokensInRange(tokens, start, end).length;
+}
+
+// Tokens fully inside [start, end); tokens must be sorted by start offset
+function tokensInRange(tokens, start, end) {
+    let lo = 0;
+    let hi = tokens.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (tokens[mid].start < start) lo = mid + 1;
+        else hi = mid;
+    }
+
+    let i = lo;
+    while (i < tokens.length && tokens[i].end <= end) i++;
+    return tokens.slice(lo, i);
+}
+
+// Hash of a function's code tokens: the same for the same code wherever it moves, whatever its formatting and comments
+function fingerprintTokens(tokens, start, end) {
+    // Fed one token at a time: huge functions have too many tokens to pass as arguments
+    const h = crypto.createHash('sha256');
+    for (const token of tokensInRange(tokens, start, end)) {
+        const value = token.type?.label === 'regexp'
+            ? `/${token.value.pattern}/${token.value.flags}`
+            : String(token.value ?? token.type?.label ?? token.type);
+        h.update(value).update('\0');
+    }
+    return h.digest('hex').slice(0, 16);
+}
+
+const HALSTEAD_OPERAND_TOKENS = new Set([
+    'name', 'num', 'bigint', 'decimal', 'string', 'template', 'regexp', 'jsxName', 'jsxText',
+    'this', 'super', 'true', 'false', 'null'
+]);
+
+// Closing brackets are counted with their opening token
+const HALSTEAD_SKIPPED_TOKENS = new Set([')', ']', '}', 'jsxTagEnd']);
+
+// Halstead measures over the tokens inside [start, end)
+function calculateHalstead(tokens, start = 0, end = Infinity) {
+    const operators = new Map();
+    const operands = new Map();
+
+    for (const token of tokensInRange(tokens, start, end)) {
+        const label = token.type?.label ?? String(token.type);
+        if (HALSTEAD_SKIPPED_TOKENS.has(label)) continue;
+
+        if (HALSTEAD_OPERAND_TOKENS.has(label)) {
+            const value = label === 'regexp'
+                ? `/${token.value.pattern}/${token.value.flags}`
+                : String(token.value ?? label);
+            const key = `${label}:${value}`;
+            operands.set(key, (operands.get(key) || 0) + 1);
+        } else {
+            const key = token.value !== undefined ? String(token.value) : label;
+            operators.set(key, (operators.get(key) || 0) + 1);
+        }
+    }
+
+    const distinctOperators = operators.size;
+    const distinctOperands = operands.size;
+    const totalOperators = [...operators.values()].reduce((acc, v) => acc + v, 0);
+    const totalOperands = [...operands.values()].reduce((acc, v) => acc + v, 0);
+
+    const vocabulary = distinctOperators + distinctOperands;
+    const length = totalOperators + totalOperands;
+    const volume = vocabulary > 0 ? length * Math.log2(vocabulary) : 0;
+    const difficulty = distinctOperands > 0 ? (distinctOperators / 2) * (totalOperands / distinctOperands) : 0;
+    const effort = difficulty * volume;
+
+    return {
+        distinctOperators,
+        distinctOperands,
+        totalOperators,
+        totalOperands,
+        vocabulary,
+        length,
+        volume: parseFloat(volume.toFixed(2)),
+        difficulty: parseFloat(difficulty.toFixed(2)),
+        effort: parseFloat(effort.toFixed(2)),
+        bugs: parseFloat((volume / 3000).toFixed(3))
+    };
+}
+
+// Maintainability Index, normalised to 0..100 (Visual Studio variant)
+function calculateMaintainabilityIndex(volume, cyclomatic, nloc) {
+    if (nloc <= 0) return 100;
+    const raw = 171 - 5.2 * Math.log(Math.max(volume, 1)) - 0.23 * cyclomatic - 16.2 * Math.log(nloc);
+    return parseFloat(Math.min(100, Math.max(0, raw * 100 / 171)).toFixed(2));
+}
+
+function summarize(values) {
+    const sum = values.reduce((acc, v) => acc + v, 0);
+    return {
+        sum,
+        avg: values.length > 0 ? parseFloat((sum / values.length).toFixed(2)) : 0,
+        max: values.length > 0 ? Math.max(...values) : 0
+    };
+}
+
+// McCabe cyclomatic complexity: 1 + number of decision points in the function body
+function calculateCyclomaticComplexity(funcPath) {
+    let complexity = 1;
+
+    funcPath.traverse({
+        enter(path) {
+            // Nested functions are counted on their own
+            if (path.isFunction() && path !== funcPath) {
+                path.skip();
+                return;
+            }
+
+            switch (path.type) {
+                case 'IfStatement':
+                case 'ConditionalExpression':
+                case 'ForStatement':
+                case 'ForInStatement':
+                case 'ForOfStatement':
+                case 'WhileStatement':
+                case 'DoWhileStatement':
+                case 'CatchClause':
+                    complexity++;
+                    break;
+                case 'LogicalExpression':
+                    // &&, || and ?? each add a branch
+                    complexity++;
+                    break;
+                case 'AssignmentExpression':
+                    // &&=, ||= and ??= are short-circuiting too
+                    if (['&&=', '||=', '??='].includes(path.node.operator)) complexity++;
+                    break;
+                case 'SwitchCase':
+                    if (path.node.test) complexity++;
+                    break;
+            }
+        }
+    });
+
+    return complexity;
+}
+
+function calculateCognitiveComplexity(funcPath, baseNesting = 0) {
+    let complexity = 0;
+    let nesting = baseNesting;
+    let maxNesting = 0; // Deepest nesting reached, relative to the function itself
+    const increments = []; // One entry per increment, for explain mode
+
+    function record(node, type, category, penalty) {
+        increments.push({
+            line: node.loc?.start?.line ?? null,
+            column: node.loc?.start?.column ?? null,
+            type,
+            category,
+            nesting: penalty,
+            increment: 1 + penalty
+        });
+    }
+
+    // Increment for structural elements (if, looping, catch)
+    function addStructural(node, type, penalty = nesting) {
+        complexity += 1 + penalty;
+        record(node, type, 'structural', penalty);
+    }
+
+    // Increment for fundamental elements (else, default, binary sequences)
+    function addFundamental(node, type) {
+        complexity += 1;
+        record(node, type, 'fundamental', 0);
+    }
+
+    funcPath.traverse({
+        enter(path) {
+            // Stop traversal if we hit a nested function (CC is per-function)
+            if (path.isFunction() && path !== funcPath) {
+                path.skip();
+                return;
+            }
+
+            // --- Break/Continue with Label ---
+            // B1: break LABEL, continue LABEL
+            if ((path.isBreakStatement() || path.isContinueStatement()) && path.node.label) {
+                addFundamental(path.node, path.isBreakStatement() ? 'labeled break' : 'labeled continue');
+            }
+
+            // --- Control Flow ---
+            if (path.isIfStatement()) {
+                const isElseIf = path.key === 'alternate' && path.parentPath.isIfStatement();
+
+                if (isElseIf) {
+                    // Else-if should not increase nesting relative to the chain
+                    // Parent nesting included us, so cost is flat (+1 structural)
+                    // We calculate cost using (nesting - 1) to simulate being at parent's level
+                    addStructural(path.node, 'else if', nesting - 1);
+                } else {
+                    addStructural(path.node, 'if');
+                    nesting++;
+                }
+
+                // Check for 'else' (non-if alternate)
+                if (path.node.alternate && path.node.alternate.type !== 'IfStatement') {
+                    addFundamental(path.node.alternate, 'else');
+                }
+            }
+            else if (path.isSwitchStatement()) {
+                // Switch: +1 nesting level, but +0 complexity itself
+                nesting++;
+            }
+            else if (path.isSwitchCase()) {
+                // Each 'case' and 'default' adds +1
+                addFundamental(path.node, path.node.test ? 'case' : 'default');
+            }
+            else if (path.isForStatement() || path.isForInStatement() || path.isForOfStatement() ||
+                path.isWhileStatement() || path.isDoWhileStatement()) {
+                addStructural(path.node, 'loop');
+                nesting++;
+            }
+            else if (path.isCatchClause()) {
+                addStructural(path.node, 'catch');
+                nesting++; // Catch block implies nesting
+            }
+            // --- Logical Operators (&&, ||, ??) ---
+            else if (path.isLogicalExpression()) {
+                const op = path.node.operator;
+                if (op === '&&' || op === '||' || op === '??') {
+                    // Only add if not part of a sequence of the same operator
+                    if (!path.parentPath.isLogicalExpression() || path.parentPath.node.operator !== op) {
+                        addFundamental(path.node, 'logical sequence');
+                    }
+                }
+            }
+            else if (path.isConditionalExpression()) {
+                addStructural(path.node, 'ternary');
+                nesting++;
+            }
+
+            maxNesting = Math.max(maxNesting, nesting - baseNesting);
+        },
+        exit(path) {
+            if (path.isIfStatement()) {
+                const isElseIf = path.key === 'alternate' && path.parentPath.isIfStatement();
+                if (!isElseIf) {
+                    nesting--;
+                }
+            }
+            else if (path.isSwitchStatement() ||
+                path.isForStatement() || path.isForInStatement() || path.isForOfStatement() ||
+                path.isWhileStatement() || path.isDoWhileStatement() ||
+                path.isCatchClause() ||
+                path.isConditionalExpression()) {
+                nesting--;
+            }
+        }
+    });
+
+    return { complexity, maxNesting, increments };
+}
+
+function analyzeFile(filePath, options = {}) {
+    try {
+        const code = fs.readFileSync(filePath, 'utf8');
+        return {
+            fileName: path.basename(filePath),
+            metrics: calculateMetrics(code, { ...options, fileName: filePath })
+        };
+    } catch (error) {
+        return {
+            fileName: path.basename(filePath),
+            error: error.message,
+            ...(error.diagnostics ? { diagnostics: error.diagnostics } : {})
+        };
+    }
+}
+
+function isCodeFile(file) {
+    return CODE_EXTENSIONS.includes(path.extname(file).toLowerCase());
+}
+
+// '/'-separated path relative to the project root (or the base name without one)
+function relativeFileName(filePath, rootPathForRel) {
+    const rel = rootPathForRel ? path.relative(rootPathForRel, filePath) : path.basename(filePath);
+    return rel.replaceAll(path.sep, '/');
+}
+
+function analyzeFileAt(filePath, rootPathForRel, options = {}) {
+    // like your analyzeFile, but preserves path relative to detected root
+    try {
+        const code = fs.readFileSync(filePath, 'utf8');
+        return {
+            fileName: relativeFileName(filePath, rootPathForRel),
+            metrics: calculateMetrics(code, { ...options, fileName: filePath }),
+            // Source text for the HTML report's source view
+            ...(options.keepSource ? { source: code } : {})
+        };
+    } catch (error) {
+        return {
+            fileName: relativeFileName(filePath, rootPathForRel),
+            error: error.message,
+            ...(error.diagnostics ? { diagnostics: error.diagnostics } : {})
+        };
+    }
+}
+
+module.exports = {
+    calculateMetrics,
+    summarize,
+    findCycleCallSite,
+    addRecursionIncrement,
+    isCodeFile,
+    relativeFileName,
+    analyzeFileAt
+};
@@ -0,0 +1,216 @@
+const { METRICS } = require('./gate');
+const { matchKey, matchFunctions } = require('./compare');
+
+// Baseline picked up from the root of an uploaded project, next to .complexityrc.json
+const BASELINE_FILE_NAME = '.complexity-baseline.json';
+const BASELINE_VERSION = 1;
+
+// Every quality gate metric of a subject (function, file, class or project), null where unknown
+function valuesOf(scope, subject) {
+    return Object.fromEntries(Object.entries(METRICS[scope]).map(([metric, { get }]) => [metric, get(subject) ?? null]));
+}
+
+// Key of a gate subject, as its violations describe it
+function subjectKey(scope, file = null, name = null, lineStart = null) {
+    if (scope === 'function') return `function|${file}|${name}|${lineStart}`;
+    if (scope === 'class') return `class|${file}|${name}`;
+    if (scope === 'file') return `file|${file}`;
+    return 'project';
+}
+
+function violationKey(v) {
+    return subjectKey(v.scope, v.file, v.name, v.lineStart);
+}
+
+/**
+ * Snapshot of a project analysis (/analyze-zip result) to compare later analyses against:
+ * { version, createdAt, project, files: { [fileName]: { values, classes: { [name]: values },
+ * functions: { [qualifiedName]: [{ lineStart, fingerprint, values }] } } } }, where values are
+ * the quality gate metrics. `adjust(key, scope, values)` may change or drop (null) an entry.
+ */
+function createBaseline(analysis, adjust = (key, scope, values) => values) {
+    const files = {};
+    for (const r of analysis.results.filter(r => r.metrics)) {
+        const file = { values: adjust(subjectKey('file', r.fileName), 'file', valuesOf('file', r.metrics)), classes: {}, functions: {} };
+
+        for (const cls of r.metrics.classes ?? []) {
+            const values = adjust(subjectKey('class', r.fileName, cls.name), 'class', valuesOf('class', cls));
+            if (values) file.classes[cls.name] = values;
+        }
+        for (const fn of r.metrics.functions) {
+            const values = adjust(subjectKey('function', r.fileName, fn.name, fn.lineStart), 'function', valuesOf('function', fn));
+            if (values) (file.functions[matchKey(fn)] ??= []).push({ lineStart: fn.lineStart, fingerprint: fn.fingerprint, values });
+        }
+
+        if (file.values || Object.keys(file.classes).length > 0 || Object.keys(file.functions).length > 0) files[r.fileName] = file;
+    }
+
+    return {
+        version: BASELINE_VERSION,
+        createdAt: new Date().toISOString(),
+        project: adjust(subjectKey('project'), 'project', valuesOf('project', analysis)),
+        files
+    };
+}
+
+// A baseline from JSON text or an already parsed object; throws when it is not one
+function parseBaseline(source) {
+    let baseline = source;
+    if (typeof source === 'string') {
+        try {
+            baseline = JSON.parse(source);
+        } catch (error) {
+            throw new Error(`Invalid baseline: ${error.message}`);
+        }
+    }
+    if (typeof baseline !== 'object' || baseline === null || typeof baseline.files !== 'object' || baseline.files === null) {
+        throw new Error('Invalid baseline: expected an object with "files"');
+    }
+    if (baseline.version !== BASELINE_VERSION) {
+        throw new Error(`Invalid baseline: unsupported version ${baseline.version} (expected ${BASELINE_VERSION})`);
+    }
+    return baseline;
+}
+
+// Baseline function entries of a file in the shape matchFunctions expects, leaving out those already matched
+function candidatesOf(file, used) {
+    return Object.entries(file?.functions ?? {})
+        .flatMap(([key, entries]) => entries.map(entry => ({ longName: key, lineStart: entry.lineStart, entry })))
+        .filter(c => !used.has(c.entry));
+}
+
+/**
+ * Baseline values for the subjects of an analysis, by subject key. Functions match by file and
+ * qualified name (closest line first), then by fingerprint anywhere in the baseline, which
+ * follows renamed files and moved code. A file missing from the baseline is taken to be the file
+ * most of its fingerprints came from: its remaining functions are matched there by name, and it
+ * takes that file's file and class values.
+ */
+function matchBaseline(results, baseline) {
+    const matches = new Map();
+    const used = new Set();
+    const analyzed = results.filter(r => r.metrics);
+    const remaining = new Map(analyzed.map(r => [r, []])); // result -> functions not matched yet
+
+    function match(r, candidates, functions) {
+        const left = [];
+        for (const [b, h] of matchFunctions(candidates, functions)) {
+            if (!h) continue;
+            if (!b) {
+                left.push(h);
+                continue;
+            }
+            used.add(b.entry);
+            matches.set(subjectKey('function', r.fileName, h.name, h.lineStart), b.entry.values);
+        }
+        remaining.set(r, left);
+    }
+
+    for (const r of analyzed) match(r, candidatesOf(baseline.files[r.fileName], used), r.metrics.functions);
+
+    const byFingerprint = new Map();
+    for (const [fileName, file] of Object.entries(baseline.files)) {
+        for (const entry of Object.values(file.functions ?? {}).flat()) {
+            if (!used.has(entry)) byFingerprint.set(entry.fingerprint, [...(byFingerprint.get(entry.fingerprint) ?? []), { fileName, entry }]);
+        }
+    }
+    const origins = new Map(); // result -> Map(baseline fileName -> functions found there)
+    for (const r of analyzed) {
+        const counts = new Map();
+        const left = [];
+        for (const fn of remaining.get(r)) {
+            const found = (byFingerprint.get(fn.fingerprint) ?? []).find(c => !used.has(c.entry));
+            if (!found) {
+                left.push(fn);
+                continue;
+            }
+            used.add(found.entry);
+            matches.set(subjectKey('function', r.fileName, fn.name, fn.lineStart), found.entry.values);
+            counts.set(found.fileName, (counts.get(found.fileName) ?? 0) + 1);
+        }
+        remaining.set(r, left);
+        origins.set(r, counts);
+    }
+
+    for (const r of analyzed) {
+        const origin = baseline.files[r.fileName]
+            ? r.fileName
+            : [...origins.get(r).entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+        const old = origin ? baseline.files[origin] : null;
+        if (!old) continue;
+
+        if (origin !== r.fileName) match(r, candidatesOf(old, used), remaining.get(r));
+        if (old.values) matches.set(subjectKey('file', r.fileName), old.values);
+        for (const cls of r.metrics.classes ?? []) {
+            if (old.classes?.[cls.name]) matches.set(subjectKey('class', r.fileName, cls.name), old.classes[cls.name]);
+        }
+    }
+    if (baseline.project) matches.set(subjectKey('project'), baseline.project);
+
+    return matches;
+}
+
+function isWorse(kind, value, before) {
+    if (before === null || before === undefined) return true;
+    return kind === 'max' ? value > before : value < before;
+}
+
+/**
+ * Keep only the violations of subjects that are new since the baseline or worse than it on the
+ * violated metric; kept violations are marked baseline: 'new' | 'worse' (with baselineValue).
+ * Returns { violations, summary: { new, worse, known } }; known violations are dropped.
+ */
+function applyBaseline(violations, results, baseline) {
+    const matches = matchBaseline(results, baseline);
+    const kept = [];
+    let known = 0;
+
+    for (const v of violations) {
+        const previous = matches.get(violationKey(v));
+        if (!previous) {
+            kept.push({ ...v, baseline: 'new' });
+        } else if (isWorse(v.kind, v.value, previous[v.metric])) {
+            kept.push({ ...v, baseline: 'worse', baselineValue: previous[v.metric] ?? null });
+        } else {
+            known += 1;
+        }
+    }
+
+    return {
+        violations: kept,
+        summary: {
+            new: kept.filter(v => v.baseline === 'new').length,
+            worse: kept.filter(v => v.baseline === 'worse').length,
+            known
+        }
+    };
+}
+
+/**
+ * Refresh a baseline from a new analysis. By default it is a new snapshot. With `ratchet`, only
+ * subjects already in the previous baseline are kept, each at the better of its old and new values,
+ * so improvements are locked in while new code and regressions stay reported.
+ */
+function refreshBaseline(previous, analysis, { ratchet = false } = {}) {
+    if (!ratchet || !previous) return createBaseline(analysis);
+
+    const matches = matchBaseline(analysis.results, previous);
+    return createBaseline(analysis, (key, scope, values) => {
+        const before = matches.get(key);
+        if (!before) return null;
+        return Object.fromEntries(Object.entries(values).map(([metric, value]) => {
+            const old = before[metric];
+            if (value === null || old === null || old === undefined) return [metric, old ?? value];
+            return [metric, METRICS[scope][metric].kind === 'max' ? Math.min(value, old) : Math.max(value, old)];
+        }));
+    });
+}
+
+module.exports = {
+    BASELINE_FILE_NAME,
+    BASELINE_VERSION,
+    createBaseline,
+    parseBaseline,
+    applyBaseline,
+    refreshBaseline
+};
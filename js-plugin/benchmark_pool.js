@@ -0,0 +1,103 @@
+// Throughput of the worker pool against main-thread analysis on a synthetic project.
+// Usage: node benchmark_pool.js [fileCount=400] [poolSizes=1,2,4]
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createWorkerPool } = require('./pool');
+const { analyzeFileAt } = require('./analyzer');
+const { walkCodeFiles } = require('./project');
+
+const fileCount = parseInt(process.argv[2], 10) || 400;
+const poolSizes = (process.argv[3] || '1,2,4').split(',').map(n => parseInt(n, 10)).filter(n => n > 0);
+
+// One module with a handful of functions of growing complexity; varied so files differ in cost
+function syntheticModule(index) {
+    const functions = [];
+    for (let f = 0; f < 5 + (index % 10); f++) {
+        functions.push(`export function handler${index}_${f}(items, options = {}) {
+    const out = [];
+    for (const item of items) {
+        if (item.type === 'a' && options.strict) {
+            out.push(item.value ?? ${f});
+        } else if (item.type === 'b') {
+            try {
+                out.push(JSON.parse(item.raw));
+            } catch (error) {
+                if (options.verbose) console.warn(error);
+            }
+        } else {
+            switch (item.kind) {
+                case ${f}: out.push(item.kind * 2); break;
+                default: out.push(items.filter(x => x.kind === item.kind).length);
+            }
+        }
+    }
+    return out.length > ${index % 7} ? out : null;
+}`);
+    }
+    return `import { helper } from './module${(index + 1) % fileCount}';\n\n${functions.join('\n\n')}\n`;
+}
+
+function createProject() {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pool-bench-'));
+    for (let i = 0; i < fileCount; i++) {
+        const dir = path.join(root, `pkg${i % 20}`);
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, `module${i}.js`), syntheticModule(i));
+    }
+    return root;
+}
+
+// Runs `analyze` while a 10 ms ticker records the longest event loop stall, i.e. how long
+// another request would have waited
+async function measure(label, analyze) {
+    let lastTick = Date.now();
+    let maxStall = 0;
+    const ticker = setInterval(() => {
+        maxStall = Math.max(maxStall, Date.now() - lastTick);
+        lastTick = Date.now();
+    }, 10);
+
+    const start = process.hrtime.bigint();
+    const results = await analyze();
+    const ms = Number(process.hrtime.bigint() - start) / 1e6;
+    // One more tick so a loop that was blocked the whole time is recorded too
+    await new Promise(resolve => setTimeout(resolve, 20));
+    clearInterval(ticker);
+
+    return {
+        label,
+        files: results.length,
+        errors: results.filter(r => r.error).length,
+        ms: parseFloat(ms.toFixed(0)),
+        filesPerSecond: parseFloat((results.length / (ms / 1000)).toFixed(1)),
+        maxLoopStallMs: maxStall
+    };
+}
+
+async function main() {
+    const root = createProject();
+    const files = walkCodeFiles(root, { onSkip: () => {} });
+    console.log(`Synthetic project: ${files.length} files in ${root} (${os.availableParallelism()} CPUs)`);
+
+    const rows = [];
+    try {
+        rows.push(await measure('main thread', async () => files.map(f => analyzeFileAt(f, root, { tokenStream: true }))));
+
+        for (const size of poolSizes) {
+            const pool = createWorkerPool(path.join(__dirname, 'worker.js'), { size });
+            rows.push(await measure(`pool x${size}`, () => Promise.all(
+                files.map(filePath => pool.run({ filePath, rootPath: root, options: { tokenStream: true } })
+                    .catch(error => ({ error: error.message })))
+            )));
+            await pool.destroy();
+        }
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+
+    const baseline = rows[0].ms;
+    console.table(rows.map(r => ({ ...r, speedup: parseFloat((baseline / r.ms).toFixed(2)) })));
+}
+
+main();
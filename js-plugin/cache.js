@@ -0,0 +1,154 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+
+const DEFAULT_CACHE_SIZE = 5000;
+const DEFAULT_DISK_CACHE_SIZE = 100000;
+
+// On-disk entries are <first two hex digits>/<sha256>.json; nothing else in the directory is touched
+const ENTRY_DIRECTORY = /^[0-9a-f]{2}$/;
+const ENTRY_FILE = /^([0-9a-f]{64})\.json$/;
+
+function hash(...parts) {
+    const h = crypto.createHash('sha256');
+    for (const part of parts) h.update(part).update('\0');
+    return h.digest('hex');
+}
+
+function checkSize(name, value) {
+    if (!Number.isInteger(value) || value < 0) throw new Error(`Invalid result cache ${name}: ${value} (expected an integer >= 0)`);
+}
+
+// Keys of the entries already on disk, least recently used first (by modification time)
+function readDiskKeys(directory) {
+    const found = [];
+    for (const sub of fs.readdirSync(directory, { withFileTypes: true })) {
+        if (!sub.isDirectory() || !ENTRY_DIRECTORY.test(sub.name)) continue;
+        for (const file of fs.readdirSync(path.join(directory, sub.name))) {
+            const match = ENTRY_FILE.exec(file);
+            if (match) found.push({ key: match[1], time: fs.statSync(path.join(directory, sub.name, file)).mtimeMs });
+        }
+    }
+    return found.sort((a, b) => a.time - b.time).map(entry => entry.key);
+}
+
+/**
+ * LRU cache of analysis results keyed by content hash, with an optional on-disk store
+ * shared across restarts and bounded to `maxDiskEntries` files. Values are copied in and
+ * out, so callers may mutate what they get. `version` is mixed into every key; change it
+ * and old entries are never looked up again.
+ */
+function createResultCache({ version, maxEntries = DEFAULT_CACHE_SIZE, directory = null, maxDiskEntries = DEFAULT_DISK_CACHE_SIZE } = {}) {
+    checkSize('size', maxEntries);
+    checkSize('disk size', maxDiskEntries);
+
+    const entries = new Map(); // key -> value, least recently used first
+    const diskKeys = new Set(); // keys on disk, least recently used first
+    const stats = { hits: 0, misses: 0 };
+
+    if (directory) {
+        fs.mkdirSync(directory, { recursive: true });
+        for (const key of readDiskKeys(directory)) diskKeys.add(key);
+        evictFromDisk();
+    }
+
+    function diskPath(key) {
+        return path.join(directory, key.slice(0, 2), `${key}.json`);
+    }
+
+    function removeFromDisk(key) {
+        diskKeys.delete(key);
+        fs.rmSync(diskPath(key), { force: true });
+        try {
+            fs.rmdirSync(path.dirname(diskPath(key)));
+        } catch (error) {
+            // Other entries still share the folder
+        }
+    }
+
+    function evictFromDisk() {
+        while (diskKeys.size > maxDiskEntries) removeFromDisk(diskKeys.values().next().value);
+    }
+
+    // Mark a disk entry as recently used, here and (through its mtime) for the next process
+    function touchOnDisk(key) {
+        diskKeys.delete(key);
+        diskKeys.add(key);
+        const now = new Date();
+        try {
+            fs.utimesSync(diskPath(key), now, now);
+        } catch (error) {
+            // Removed by another process; the next set writes it again
+        }
+    }
+
+    function remember(key, value) {
+        entries.delete(key);
+        entries.set(key, value);
+        while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    }
+
+    function key(code, options = {}) {
+        return hash(version, JSON.stringify(options), code);
+    }
+
+    function get(cacheKey) {
+        let value = entries.get(cacheKey);
+        if (value === undefined && directory && diskKeys.has(cacheKey)) {
+            try {
+                value = JSON.parse(fs.readFileSync(diskPath(cacheKey), 'utf8'));
+                touchOnDisk(cacheKey);
+            } catch (error) {
+                value = undefined; // Missing, partially written or corrupt entry: treat as a miss
+            }
+        }
+
+        if (value === undefined) {
+            stats.misses += 1;
+            return undefined;
+        }
+        stats.hits += 1;
+        remember(cacheKey, value);
+        return structuredClone(value);
+    }
+
+    function set(cacheKey, value) {
+        const copy = structuredClone(value);
+        remember(cacheKey, copy);
+        if (directory && maxDiskEntries > 0) {
+            fs.mkdirSync(path.dirname(diskPath(cacheKey)), { recursive: true });
+            fs.writeFileSync(diskPath(cacheKey), JSON.stringify(copy));
+            diskKeys.delete(cacheKey);
+            diskKeys.add(cacheKey);
+            evictFromDisk();
+        }
+    }
+
+    function clear() {
+        const cleared = entries.size;
+        entries.clear();
+        stats.hits = 0;
+        stats.misses = 0;
+        // Only the cache's own entry files: the directory may be shared with other data
+        if (directory) {
+            for (const key of readDiskKeys(directory)) removeFromDisk(key);
+            diskKeys.clear();
+        }
+        return cleared;
+    }
+
+    return {
+        key,
+        get,
+        set,
+        clear,
+        stats: () => ({ ...stats, entries: entries.size, maxEntries, directory, diskEntries: diskKeys.size, maxDiskEntries })
+    };
+}
+
+module.exports = {
+    DEFAULT_CACHE_SIZE,
+    DEFAULT_DISK_CACHE_SIZE,
+    hash,
+    createResultCache
+};
@@ -0,0 +1,399 @@
+const path = require('node:path');
+
+// Extensions tried when resolving a relative import to a project file
+const RESOLVE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.mts', '.cts'];
+
+function isFunctionNode(node) {
+    return !!node && (
+        node.type === 'FunctionDeclaration' ||
+        node.type === 'FunctionExpression' ||
+        node.type === 'ArrowFunctionExpression' ||
+        node.type === 'ClassMethod' ||
+        node.type === 'ClassPrivateMethod' ||
+        node.type === 'ObjectMethod'
+    );
+}
+
+function isClassNode(node) {
+    return !!node && (node.type === 'ClassDeclaration' || node.type === 'ClassExpression');
+}
+
+function keyName(key) {
+    if (!key) return null;
+    if (key.type === 'Identifier') return key.name;
+    if (key.type === 'StringLiteral') return key.value;
+    if (key.type === 'PrivateName') return `#${key.id.name}`;
+    return null;
+}
+
+function requireSource(node) {
+    if (node?.type === 'CallExpression' &&
+        node.callee.type === 'Identifier' && node.callee.name === 'require' &&
+        node.arguments[0]?.type === 'StringLiteral') {
+        return node.arguments[0].value;
+    }
+    return null;
+}
+
+// Function node for a member of an object literal or class body
+function findMember(members, name) {
+    for (const m of members) {
+        if (keyName(m.key) !== name) continue;
+        if (isFunctionNode(m)) return m;
+        if (isFunctionNode(m.value)) return m.value;
+    }
+    return null;
+}
+
+/**
+ * Resolve what a binding refers to, optionally through a member access (obj.member).
+ * Returns { node } for a function in this file, { external: { source, name } } for
+ * an imported/required function, or null when it cannot be resolved statically.
+ */
+function resolveBinding(binding, member = null) {
+    if (!binding) return null;
+    const bp = binding.path;
+    const node = bp.node;
+
+    if (bp.isImportSpecifier()) {
+        const source = bp.parentPath.node.source.value;
+        const imported = keyName(node.imported);
+        return member ? null : { external: { source, name: imported } };
+    }
+    if (bp.isImportDefaultSpecifier()) {
+        const source = bp.parentPath.node.source.value;
+        return { external: { source, name: member ?? 'default' } };
+    }
+    if (bp.isImportNamespaceSpecifier()) {
+        const source = bp.parentPath.node.source.value;
+        return member ? { external: { source, name: member } } : null;
+    }
+
+    if (member === null && bp.isFunctionDeclaration()) return { node };
+    if (bp.isClassDeclaration() && member !== null) {
+        const fn = findMember(node.body.body, member);
+        return fn ? { node: fn } : null;
+    }
+
+    if (bp.isVariableDeclarator()) {
+        const init = node.init;
+        const source = requireSource(init);
+
+        if (node.id.type === 'ObjectPattern') {
+            // const { foo } = require('./x')
+            if (!source || member !== null) return null;
+            const prop = node.id.properties.find(pr => pr.value?.type === 'Identifier' && pr.value.name === binding.identifier.name);
+            return prop ? { external: { source, name: keyName(prop.key) } } : null;
+        }
+
+        if (source) return { external: { source, name: member ?? 'default' } };
+        if (member === null) return isFunctionNode(init) ? { node: init } : null;
+        if (init?.type === 'ObjectExpression') {
+            const fn = findMember(init.properties, member);
+            return fn ? { node: fn } : null;
+        }
+        if (init?.type === 'ClassExpression') {
+            const fn = findMember(init.body.body, member);
+            return fn ? { node: fn } : null;
+        }
+    }
+
+    return null;
+}
+
+function resolveCallee(callPath) {
+    const callee = callPath.node.callee;
+
+    if (callee.type === 'Identifier') {
+        return resolveBinding(callPath.scope.getBinding(callee.name));
+    }
+
+    if ((callee.type === 'MemberExpression' || callee.type === 'OptionalMemberExpression') && !callee.computed) {
+        const member = keyName(callee.property);
+        if (!member) return null;
+
+        if (callee.object.type === 'ThisExpression') {
+            // this.method() resolves against the enclosing class body
+            const classPath = callPath.findParent(p => p.isClass());
+            const fn = classPath ? findMember(classPath.node.body.body, member) : null;
+            return fn ? { node: fn } : null;
+        }
+        if (callee.object.type === 'Identifier') {
+            return resolveBinding(callPath.scope.getBinding(callee.object.name), member);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Calls made directly by a function (nested functions are skipped; they have their own entry).
+ */
+function collectCalls(funcPath) {
+    const calls = [];
+
+    funcPath.traverse({
+        enter(p) {
+            if (p.isFunction()) {
+                p.skip();
+                return;
+            }
+            if (!p.isCallExpression() && !p.isOptionalCallExpression()) return;
+
+            const target = resolveCallee(p);
+            if (!target) return;
+
+            calls.push({
+                ...target,
+                line: p.node.loc?.start?.line ?? null,
+                column: p.node.loc?.start?.column ?? null
+            });
+        }
+    });
+
+    return calls;
+}
+
+/**
+ * Exported functions and classes of a module, as a map of export name -> node.
+ * Covers ES exports and the common CommonJS forms (module.exports / exports.x).
+ */
+function collectExports(programPath) {
+    const exported = new Map();
+    const scope = programPath.scope;
+
+    const fromValue = (value) => {
+        if (isFunctionNode(value) || isClassNode(value)) return value;
+        if (value?.type !== 'Identifier') return null;
+
+        const bp = scope.getBinding(value.name)?.path;
+        if (bp?.isClassDeclaration()) return bp.node;
+        if (bp?.isVariableDeclarator() && isClassNode(bp.node.init)) return bp.node.init;
+        return resolveBinding(scope.getBinding(value.name))?.node ?? null;
+    };
+    const add = (name, node) => {
+        if (name && node) exported.set(name, node);
+    };
+
+    for (const stmt of programPath.node.body) {
+        if (stmt.type === 'ExportNamedDeclaration') {
+            const decl = stmt.declaration;
+            if (decl?.type === 'FunctionDeclaration' || decl?.type === 'ClassDeclaration') {
+                add(decl.id.name, decl);
+            } else if (decl?.type === 'VariableDeclaration') {
+                for (const d of decl.declarations) {
+                    if (d.id.type === 'Identifier') add(d.id.name, fromValue(d.init));
+                }
+            } else if (!stmt.source) {
+                for (const spec of stmt.specifiers) {
+                    add(keyName(spec.exported), fromValue(spec.local));
+                }
+            }
+        } else if (stmt.type === 'ExportDefaultDeclaration') {
+            add('default', fromValue(stmt.declaration));
+        } else if (stmt.type === 'ExpressionStatement' && stmt.expression.type === 'AssignmentExpression') {
+            const { left, right } = stmt.expression;
+            if (left.type !== 'MemberExpression') continue;
+
+            const isModuleExports = (n) => n.type === 'MemberExpression' &&
+                n.object.type === 'Identifier' && n.object.name === 'module' && keyName(n.property) === 'exports';
+
+            if (isModuleExports(left)) {
+                // module.exports = fn | { a, b: fn }
+                if (right.type === 'ObjectExpression') {
+                    for (const prop of right.properties) {
+                        add(keyName(prop.key), isFunctionNode(prop) ? prop : fromValue(prop.value));
+                    }
+                } else {
+                    add('default', fromValue(right));
+                }
+            } else if (isModuleExports(left.object) ||
+                (left.object.type === 'Identifier' && left.object.name === 'exports')) {
+                // module.exports.foo = fn / exports.foo = fn
+                add(keyName(left.property), fromValue(right));
+            }
+        }
+    }
+
+    return exported;
+}
+
+/**
+ * Tarjan's strongly connected components over `ids`, with `successors(id)` giving
+ * the outgoing neighbours. Returns every cycle: components with more than one member,
+ * or a single member with an edge to itself.
+ */
+function findCycles(ids, successors) {
+    let index = 0;
+    const indices = new Map();
+    const lowlink = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const cycles = [];
+
+    function strongConnect(v) {
+        indices.set(v, index);
+        lowlink.set(v, index);
+        index++;
+        stack.push(v);
+        onStack.add(v);
+
+        for (const w of successors(v)) {
+            if (!indices.has(w)) {
+                strongConnect(w);
+                lowlink.set(v, Math.min(lowlink.get(v), lowlink.get(w)));
+            } else if (onStack.has(w)) {
+                lowlink.set(v, Math.min(lowlink.get(v), indices.get(w)));
+            }
+        }
+
+        if (lowlink.get(v) === indices.get(v)) {
+            const component = [];
+            let w;
+            do {
+                w = stack.pop();
+                onStack.delete(w);
+                component.push(w);
+            } while (w !== v);
+
+            if (component.length > 1 || successors(v).includes(v)) {
+                cycles.push(component.reverse());
+            }
+        }
+    }
+
+    for (const id of ids) {
+        if (!indices.has(id)) strongConnect(id);
+    }
+
+    return cycles;
+}
+
+// Adjacency, fan-in/fan-out and cycles for a list of nodes and deduplicated edges
+function summarizeGraph(ids, edges) {
+    const callees = new Map(ids.map(id => [id, []]));
+    const callers = new Map(ids.map(id => [id, []]));
+
+    for (const { from, to } of edges) {
+        callees.get(from).push(to);
+        callers.get(to).push(from);
+    }
+
+    const cycles = findCycles(ids, id => callees.get(id));
+
+    const functions = ids.map(id => ({
+        id,
+        callers: callers.get(id),
+        callees: callees.get(id),
+        fanIn: callers.get(id).length,
+        fanOut: callees.get(id).length
+    }));
+
+    return { functions, cycles };
+}
+
+function addEdge(edges, seen, from, to, call) {
+    const key = `${from}\u0000${to}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    edges.push({ from, to, line: call.line, column: call.column });
+}
+
+/**
+ * Build the call graph of one file.
+ * entries: [{ id, node, calls }] in the same order as metrics.functions
+ * exportsMap: export name -> function node (from collectExports)
+ */
+function buildCallGraph(entries, exportsMap) {
+    const idByNode = new Map(entries.map(e => [e.node, e.id]));
+    const edges = [];
+    const imports = [];
+    const seen = new Set();
+
+    for (const entry of entries) {
+        for (const call of entry.calls) {
+            if (call.node) {
+                const to = idByNode.get(call.node);
+                if (to) addEdge(edges, seen, entry.id, to, call);
+            } else if (call.external) {
+                imports.push({ from: entry.id, ...call.external, line: call.line, column: call.column });
+            }
+        }
+    }
+
+    const { functions, cycles } = summarizeGraph(entries.map(e => e.id), edges);
+
+    // No prototype, so export names such as "__proto__" are plain keys
+    const exportIds = Object.create(null);
+    for (const [name, node] of exportsMap) {
+        if (idByNode.has(node)) exportIds[name] = idByNode.get(node);
+    }
+
+    return { functions, edges, cycles, imports, exports: exportIds };
+}
+
+/**
+ * Resolve a relative import specifier from `fromFile` to one of the project's files.
+ * fileNames: Set of '/'-separated paths relative to the project root.
+ */
+function resolveImport(fromFile, specifier, fileNames) {
+    if (!specifier.startsWith('./') && !specifier.startsWith('../')) return null;
+
+    const base = path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), specifier));
+    const withoutExt = base.replace(/\.(c|m)?(j|t)sx?$/, '');
+    const candidates = [
+        base,
+        ...RESOLVE_EXTENSIONS.map(ext => withoutExt + ext),
+        ...RESOLVE_EXTENSIONS.map(ext => `${base}/index${ext}`)
+    ];
+
+    return candidates.find(c => fileNames.has(c)) ?? null;
+}
+
+/**
+ * Merge per-file call graphs into one project graph, linking calls through
+ * imports/requires to the functions the target module exports.
+ * files: [{ fileName, callGraph }]
+ */
+function buildProjectCallGraph(files) {
+    const fileNames = new Set(files.map(f => f.fileName));
+    const byFile = new Map(files.map(f => [f.fileName, f.callGraph]));
+    const qualify = (fileName, id) => `${fileName}#${id}`;
+
+    const ids = [];
+    const edges = [];
+    const seen = new Set();
+
+    for (const { fileName, callGraph } of files) {
+        for (const fn of callGraph.functions) ids.push(qualify(fileName, fn.id));
+        for (const edge of callGraph.edges) {
+            addEdge(edges, seen, qualify(fileName, edge.from), qualify(fileName, edge.to), edge);
+        }
+    }
+
+    for (const { fileName, callGraph } of files) {
+        for (const imp of callGraph.imports) {
+            const target = resolveImport(fileName, imp.source, fileNames);
+            // Exports come back from workers and the result cache as plain objects: only own keys are exports
+            const exports = target ? byFile.get(target).exports : null;
+            const targetId = exports && Object.hasOwn(exports, imp.name) ? exports[imp.name] : null;
+            if (targetId) {
+                addEdge(edges, seen, qualify(fileName, imp.from), qualify(target, targetId), imp);
+            }
+        }
+    }
+
+    const { functions, cycles } = summarizeGraph(ids, edges);
+    return { functions, edges, cycles };
+}
+
+module.exports = {
+    keyName,
+    requireSource,
+    collectCalls,
+    collectExports,
+    buildCallGraph,
+    buildProjectCallGraph,
+    findCycles,
+    resolveImport
+};
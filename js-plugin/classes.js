@@ -0,0 +1,208 @@
+const generate = require('@babel/generator').default;
+const { keyName, requireSource, resolveImport } = require('./callgraph');
+
+function isFunctionValue(node) {
+    return node?.type === 'ArrowFunctionExpression' || node?.type === 'FunctionExpression';
+}
+
+// Where a superclass comes from: a local class, or { source, imported } for an import/require
+function describeSuperClass(classPath) {
+    const sc = classPath.node.superClass;
+    if (!sc) return null;
+
+    if (sc.type === 'Identifier') {
+        const bp = classPath.scope.getBinding(sc.name)?.path;
+        if (bp?.isImportSpecifier()) {
+            return { name: sc.name, source: bp.parentPath.node.source.value, imported: keyName(bp.node.imported) };
+        }
+        if (bp?.isImportDefaultSpecifier()) {
+            return { name: sc.name, source: bp.parentPath.node.source.value, imported: 'default' };
+        }
+        if (bp?.isVariableDeclarator() && requireSource(bp.node.init)) {
+            const source = requireSource(bp.node.init);
+            if (bp.node.id.type === 'ObjectPattern') {
+                const prop = bp.node.id.properties.find(pr => pr.value?.type === 'Identifier' && pr.value.name === sc.name);
+                return { name: sc.name, source, imported: prop ? keyName(prop.key) : null };
+            }
+            return { name: sc.name, source, imported: 'default' };
+        }
+        return { name: sc.name, source: null, imported: null };
+    }
+
+    // extends ns.Base: follow a namespace import, otherwise keep the expression text (React.Component)
+    if (sc.type === 'MemberExpression' && !sc.computed && sc.object.type === 'Identifier') {
+        const bp = classPath.scope.getBinding(sc.object.name)?.path;
+        const source = bp?.isImportNamespaceSpecifier()
+            ? bp.parentPath.node.source.value
+            : (bp?.isVariableDeclarator() ? requireSource(bp.node.init) : null);
+        if (source) return { name: generate(sc).code, source, imported: keyName(sc.property) };
+    }
+
+    return { name: generate(sc).code, source: null, imported: null };
+}
+
+// Fields (this.x) read or written inside a method; non-arrow nested functions rebind `this`
+function collectThisMembers(fnPath) {
+    const used = new Set();
+    const assigned = new Set();
+
+    fnPath.traverse({
+        enter(p) {
+            if (p.isFunction() && !p.isArrowFunctionExpression()) {
+                p.skip();
+                return;
+            }
+            if (!p.isMemberExpression() || p.node.computed || p.node.object.type !== 'ThisExpression') return;
+
+            const name = keyName(p.node.property);
+            if (!name) return;
+            used.add(name);
+            if (p.parentPath.isAssignmentExpression() && p.key === 'left') assigned.add(name);
+        }
+    });
+
+    return { used, assigned };
+}
+
+/**
+ * Raw facts about one class: its members, fields and which fields each method touches.
+ * exportsMap: export name -> node (from collectExports)
+ */
+function collectClass(classPath, name, exportsMap) {
+    const node = classPath.node;
+    const methods = [];
+    const fields = new Set();
+
+    for (const member of classPath.get('body.body')) {
+        const key = keyName(member.node.key) ?? (member.node.computed ? `[${generate(member.node.key).code}]` : null);
+
+        if (member.isClassMethod() || member.isClassPrivateMethod()) {
+            methods.push({ key, node: member.node, path: member, isConstructor: member.node.kind === 'constructor' });
+        } else if ((member.isClassProperty() || member.isClassPrivateProperty()) && isFunctionValue(member.node.value)) {
+            methods.push({ key, node: member.node.value, path: member.get('value'), isConstructor: false });
+        } else if (member.isClassProperty() || member.isClassPrivateProperty()) {
+            if (key) fields.add(key);
+        }
+    }
+
+    const methodKeys = new Set(methods.map(m => m.key));
+    for (const method of methods) {
+        const { used, assigned } = collectThisMembers(method.path);
+        method.used = used;
+        for (const f of assigned) {
+            if (!methodKeys.has(f)) fields.add(f);
+        }
+    }
+    for (const method of methods) {
+        method.fields = new Set([...method.used].filter(f => fields.has(f)));
+    }
+
+    const exportedAs = [];
+    for (const [exportName, exportNode] of exportsMap) {
+        if (exportNode === node) exportedAs.push(exportName);
+    }
+
+    return {
+        name,
+        lineStart: node.loc?.start?.line ?? null,
+        lineEnd: node.loc?.end?.line ?? null,
+        superClass: describeSuperClass(classPath),
+        exportedAs,
+        methods,
+        fields
+    };
+}
+
+// Chidamber & Kemerer LCOM: method pairs sharing no field minus pairs sharing one, floored at 0.
+// Constructors are left out, since they normally initialise every field.
+function lackOfCohesion(methods) {
+    const candidates = methods.filter(m => !m.isConstructor);
+    let disjoint = 0;
+    let shared = 0;
+
+    for (let i = 0; i < candidates.length; i++) {
+        for (let j = i + 1; j < candidates.length; j++) {
+            const a = candidates[i].fields;
+            const b = candidates[j].fields;
+            if ([...a].some(f => b.has(f))) shared++;
+            else disjoint++;
+        }
+    }
+
+    return Math.max(0, disjoint - shared);
+}
+
+/**
+ * Class metrics from collectClass output.
+ * functionFor(node) returns the metrics.functions record of a method node.
+ */
+function summarizeClass(info, functionFor) {
+    const records = info.methods.map(m => functionFor(m.node)).filter(Boolean);
+
+    return {
+        id: `${info.name}:${info.lineStart}`,
+        name: info.name,
+        lineStart: info.lineStart,
+        lineEnd: info.lineEnd,
+        superClass: info.superClass,
+        exportedAs: info.exportedAs,
+        methods: info.methods.length,
+        fields: info.fields.size,
+        methodNames: info.methods.map(m => m.key),
+        fieldNames: [...info.fields],
+        wmc: records.reduce((acc, f) => acc + f.cyclomatic_complexity, 0),
+        wmcCognitive: records.reduce((acc, f) => acc + f.cognitive_complexity, 0),
+        dit: 0,
+        lcom: lackOfCohesion(info.methods)
+    };
+}
+
+const EXTERNAL = Symbol('external superclass');
+
+/**
+ * Depth of inheritance for every class, following superclasses across the given files.
+ * A superclass outside the files (a library base class) counts as one more level.
+ * files: [{ fileName, classes }]
+ */
+function computeInheritanceDepth(files) {
+    const fileNames = new Set(files.map(f => f.fileName));
+    const byFile = new Map(files.map(f => [f.fileName, f.classes]));
+
+    function parentOf(fileName, cls) {
+        const sc = cls.superClass;
+        if (!sc) return null;
+
+        if (!sc.source) {
+            const local = byFile.get(fileName).find(c => c !== cls && c.name === sc.name);
+            return local ? { fileName, cls: local } : EXTERNAL;
+        }
+
+        const target = resolveImport(fileName, sc.source, fileNames);
+        const parent = target ? byFile.get(target).find(c => c.exportedAs.includes(sc.imported)) : null;
+        return parent ? { fileName: target, cls: parent } : EXTERNAL;
+    }
+
+    for (const { fileName, classes } of files) {
+        for (const cls of classes) {
+            const seen = new Set([cls]);
+            let depth = 0;
+            let current = { fileName, cls };
+            let parent;
+
+            while ((parent = parentOf(current.fileName, current.cls))) {
+                depth++;
+                if (parent === EXTERNAL || seen.has(parent.cls)) break;
+                seen.add(parent.cls);
+                current = parent;
+            }
+
+            cls.dit = depth;
+        }
+    }
+}
+
+module.exports = {
+    collectClass,
+    summarizeClass,
+    computeInheritanceDepth
+};
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseArgs } = require('node:util');
+const { walkCodeFiles, loadProjectConfig, analyzeFiles } = require('./project');
+const { formatReport } = require('./formats');
+const { globToRegExp } = require('./glob');
+const { renderHtmlReport } = require('./report');
+
+const USAGE = `Usage: node cli.js [options] [paths...]
+
+Analyze files, directories or globs (default: current directory).
+
+Options:
+  -f, --format <format>          table, json, csv, sarif, checkstyle or html (default: table);
+                                 sarif and checkstyle list the threshold violations,
+                                 html is a self-contained report with the sources
+  -s, --sort <column>            cognitive, cyclomatic, nloc, params, nesting, mi, name or file
+                                 (default: cognitive)
+  -n, --top <N>                  Only print the N first functions after sorting
+      --min-cc <N>               Only print functions with cognitive complexity >= N
+  -c, --config <file>            Quality gate config (default: .complexityrc.json in the current directory)
+  -h, --help                     Show this help
+
+Exit status: 0 when the quality gate passes, 1 when thresholds are exceeded or a file could not
+be analyzed (a tree that was not fully analyzed does not pass), 2 on usage errors, including a
+path or glob that matches no code files.`;
+
+// Sort keys; numeric columns sort descending, text columns ascending
+const SORT_KEYS = {
+    cognitive: r => r.cognitive,
+    cyclomatic: r => r.cyclomatic,
+    nloc: r => r.nloc,
+    params: r => r.params,
+    nesting: r => r.nesting,
+    mi: r => -r.mi, // lowest maintainability first
+    name: r => r.name,
+    file: r => `${r.file}:${String(r.line).padStart(8, '0')}`
+};
+
+const COLUMNS = [
+    ['cognitive', 'CogC'],
+    ['cyclomatic', 'CycC'],
+    ['nloc', 'NLOC'],
+    ['params', 'Params'],
+    ['nesting', 'Nest'],
+    ['mi', 'MI'],
+    ['name', 'Function'],
+    ['location', 'Location']
+];
+
+function fail(message) {
+    console.error(`error: ${message}\n\n${USAGE}`);
+    process.exit(2);
+}
+
+function hasGlob(arg) {
+    return /[*?[{]/.test(arg);
+}
+
+// Files matched by one command-line argument
+function matchInput(arg, cwd) {
+    if (hasGlob(arg)) {
+        // Walk from the part of the pattern before the first wildcard segment
+        const segments = arg.split('/');
+        const firstGlob = segments.findIndex(hasGlob);
+        const base = path.resolve(cwd, segments.slice(0, firstGlob).join('/') || '.');
+        const pattern = globToRegExp(path.relative(cwd, path.resolve(cwd, arg)).split(path.sep).join('/'));
+        if (!fs.existsSync(base)) return [];
+        return walkCodeFiles(base, { onSkip: () => {} })
+            .filter(f => pattern.test(path.relative(cwd, f).split(path.sep).join('/')));
+    }
+
+    const full = path.resolve(cwd, arg);
+    if (!fs.existsSync(full)) fail(`no such file or directory: ${arg}`);
+    return fs.statSync(full).isDirectory() ? walkCodeFiles(full, { onSkip: () => {} }) : [full];
+}
+
+// Like a missing path, an input without files is an error: a mistyped glob must not pass the gate
+function expandInput(arg, cwd) {
+    const files = matchInput(arg, cwd);
+    if (files.length === 0) fail(`no code files match ${arg}`);
+    return files;
+}
+
+function toRows(analysis) {
+    return analysis.results.filter(r => r.metrics).flatMap(r => r.metrics.functions.map(f => ({
+        file: r.fileName,
+        line: f.lineStart,
+        name: f.longName,
+        cognitive: f.cognitive_complexity,
+        cyclomatic: f.cyclomatic_complexity,
+        nloc: f.NLOC,
+        params: f.parameterCount,
+        nesting: f.maxNestingDepth,
+        mi: f.maintainabilityIndex,
+        location: `${r.fileName}:${f.lineStart}`
+    })));
+}
+
+function sortRows(rows, key) {
+    const get = SORT_KEYS[key];
+    const numeric = key !== 'name' && key !== 'file';
+    return [...rows].sort((a, b) => {
+        const x = get(a);
+        const y = get(b);
+        if (x === y) return 0;
+        if (numeric) return y - x;
+        return x < y ? -1 : 1;
+    });
+}
+
+function printTable(rows) {
+    const widths = COLUMNS.map(([key, title]) => Math.max(title.length, ...rows.map(r => String(r[key]).length)));
+    const line = (cells) => cells.map((c, i) => (i < 6 ? String(c).padStart(widths[i]) : String(c).padEnd(widths[i]))).join(' | ');
+
+    console.log(line(COLUMNS.map(([, title]) => title)));
+    console.log(widths.map(w => '-'.repeat(w)).join('-+-'));
+    for (const row of rows) console.log(line(COLUMNS.map(([key]) => row[key])));
+}
+
+function csvCell(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function printCsv(rows) {
+    const keys = ['file', 'line', 'name', 'cognitive', 'cyclomatic', 'nloc', 'params', 'nesting', 'mi'];
+    console.log(keys.join(','));
+    for (const row of rows) console.log(keys.map(k => csvCell(row[k])).join(','));
+}
+
+function main(argv) {
+    let args;
+    try {
+        args = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                format: { type: 'string', short: 'f', default: 'table' },
+                sort: { type: 'string', short: 's', default: 'cognitive' },
+                top: { type: 'string', short: 'n' },
+                'min-cc': { type: 'string' },
+                config: { type: 'string', short: 'c' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        fail(error.message);
+    }
+
+    const { values, positionals } = args;
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (!['table', 'json', 'csv', 'sarif', 'checkstyle', 'html'].includes(values.format)) fail(`unknown format "${values.format}"`);
+    if (!SORT_KEYS[values.sort]) fail(`unknown sort column "${values.sort}"`);
+
+    const top = values.top !== undefined ? parseInt(values.top, 10) : null;
+    const minCC = values['min-cc'] !== undefined ? parseInt(values['min-cc'], 10) : null;
+    if (Number.isNaN(top) || Number.isNaN(minCC)) fail('--top and --min-cc take a number');
+
+    const cwd = process.cwd();
+    const inputs = positionals.length > 0 ? positionals : ['.'];
+    const files = [...new Set(inputs.flatMap(arg => expandInput(arg, cwd)))];
+
+    let gateConfig;
+    try {
+        const extra = values.config ? fs.readFileSync(path.resolve(cwd, values.config), 'utf8') : null;
+        gateConfig = loadProjectConfig(cwd, extra);
+    } catch (error) {
+        fail(error.message);
+    }
+
+    const analysis = analyzeFiles(files, cwd, { keepSource: values.format === 'html' }, gateConfig);
+
+    let rows = sortRows(toRows(analysis), values.sort);
+    if (minCC !== null) rows = rows.filter(r => r.cognitive >= minCC);
+    if (top !== null) rows = rows.slice(0, top);
+
+    const errors = analysis.results.filter(r => r.error);
+
+    if (values.format === 'json') {
+        console.log(JSON.stringify({
+            totalFiles: analysis.totalFiles,
+            functions: rows.map(({ location, ...row }) => row),
+            errors: errors.map(r => ({ file: r.fileName, error: r.error })),
+            passed: analysis.passed,
+            violations: analysis.violations
+        }, null, 2));
+    } else if (values.format === 'csv') {
+        printCsv(rows);
+    } else if (values.format === 'html') {
+        console.log(renderHtmlReport(analysis, { title: `Complexity report — ${path.basename(cwd)}` }));
+    } else if (values.format === 'sarif' || values.format === 'checkstyle') {
+        console.log(formatReport(analysis.violations, values.format).body);
+    } else {
+        printTable(rows);
+        console.log(`\n${analysis.totalFiles} files, ${toRows(analysis).length} functions`);
+        for (const v of analysis.violations) {
+            const where = v.file ? `${v.file}:${v.lineStart ?? 1}` : 'project';
+            console.log(`  ${where} ${v.name ? `${v.longName ?? v.name} ` : ''}${v.ruleId} ${v.value} (threshold ${v.threshold})`);
+        }
+        const failures = [
+            ...(analysis.violations.length > 0 ? [`${analysis.violations.length} violations`] : []),
+            ...(errors.length > 0 ? [`${errors.length} files not analyzed`] : [])
+        ];
+        console.log(`Quality gate: ${failures.length === 0 ? 'PASSED' : `FAILED (${failures.join(', ')})`}`);
+    }
+
+    for (const r of errors) console.error(`error: ${r.fileName}: ${r.error}`);
+
+    return analysis.passed && errors.length === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main };
@@ -0,0 +1,175 @@
+// Defaults follow jscpd: a clone must span at least 50 tokens and 5 lines
+const DEFAULT_MIN_TOKENS = 50;
+const DEFAULT_MIN_LINES = 5;
+
+const HASH_BASE = 1000003;
+const HASH_MOD = 1000000007;
+
+/**
+ * Token stream for clone detection. Identifiers and literals are replaced by their kind,
+ * so code that differs only in names or constant values still matches.
+ * tokens: Babel tokens without comments (as used by calculateMetrics)
+ */
+function normalizeTokens(tokens) {
+    return tokens.map(t => {
+        const label = t.type?.label ?? String(t.type);
+        let value;
+        switch (label) {
+            case 'name':
+            case 'jsxName':
+                value = 'ID';
+                break;
+            case 'string':
+            case 'template':
+            case 'jsxText':
+                value = 'STR';
+                break;
+            case 'num':
+            case 'bigint':
+            case 'decimal':
+                value = 'NUM';
+                break;
+            case 'regexp':
+                value = 'RE';
+                break;
+            default:
+                value = t.value !== undefined && typeof t.value !== 'object' ? String(t.value) : label;
+        }
+        return { value, line: t.loc.start.line, endLine: t.loc.end.line };
+    });
+}
+
+// Rolling hash of every window of `size` tokens
+function windowHashes(stream, size) {
+    if (stream.length < size) return [];
+
+    let highPower = 1; // HASH_BASE^(size - 1)
+    for (let i = 1; i < size; i++) highPower = (highPower * HASH_BASE) % HASH_MOD;
+
+    const hashes = [];
+    let hash = 0;
+    for (let i = 0; i < size; i++) hash = (hash * HASH_BASE + stream[i]) % HASH_MOD;
+    hashes.push(hash);
+
+    for (let i = size; i < stream.length; i++) {
+        hash = (hash - (stream[i - size] * highPower) % HASH_MOD + HASH_MOD) % HASH_MOD;
+        hash = (hash * HASH_BASE + stream[i]) % HASH_MOD;
+        hashes.push(hash);
+    }
+    return hashes;
+}
+
+function lineSpan(stream, from, to) {
+    return { lineStart: stream[from].line, lineEnd: stream[to - 1].endLine };
+}
+
+// A whole number >= 1, else the default: any other value falls back the same way
+function minimumOf(value, fallback) {
+    const minimum = Math.floor(value);
+    return minimum >= 1 ? minimum : fallback;
+}
+
+/**
+ * Find duplicated token sequences within and across files (Rabin-Karp over a window of
+ * minTokens, then extended greedily while the streams keep matching).
+ * files: [{ fileName, tokenStream }] where tokenStream comes from normalizeTokens
+ * options: minTokens and minLines, whole numbers >= 1 (anything else uses the default)
+ */
+function detectClones(files, options = {}) {
+    const minTokens = minimumOf(options.minTokens, DEFAULT_MIN_TOKENS);
+    const minLines = minimumOf(options.minLines, DEFAULT_MIN_LINES);
+
+    // Intern token values so windows hash over small integers
+    const ids = new Map();
+    const streams = files.map(f => f.tokenStream.map(t => {
+        if (!ids.has(t.value)) ids.set(t.value, ids.size + 1);
+        return ids.get(t.value);
+    }));
+
+    const seen = new Map(); // window hash -> { file, pos } of its first occurrence
+    const clones = [];
+
+    streams.forEach((stream, fileIndex) => {
+        const hashes = windowHashes(stream, minTokens);
+        let pos = 0;
+
+        while (pos < hashes.length) {
+            const previous = seen.get(hashes[pos]);
+            let length = 0;
+
+            if (!previous) {
+                seen.set(hashes[pos], { file: fileIndex, pos });
+            } else {
+                // Confirm the match (hash collisions) and extend it; within one file the
+                // two copies must not overlap
+                const other = streams[previous.file];
+                const limit = previous.file === fileIndex ? pos - previous.pos : Infinity;
+                while (pos + length < stream.length && previous.pos + length < other.length &&
+                    length < limit && stream[pos + length] === other[previous.pos + length]) {
+                    length++;
+                }
+            }
+
+            if (length < minTokens) {
+                pos++;
+                continue;
+            }
+
+            const first = lineSpan(files[previous.file].tokenStream, previous.pos, previous.pos + length);
+            const second = lineSpan(files[fileIndex].tokenStream, pos, pos + length);
+            const lines = second.lineEnd - second.lineStart + 1;
+            if (lines >= minLines) {
+                clones.push({
+                    tokens: length,
+                    lines,
+                    first: { file: files[previous.file].fileName, ...first },
+                    second: { file: files[fileIndex].fileName, ...second }
+                });
+            }
+            pos += length; // continue after the clone
+        }
+    });
+
+    return { clones, ...duplicationStats(files, clones) };
+}
+
+/**
+ * Duplicated lines per file and overall. A line counts as code when a token starts on it,
+ * and as duplicated when it falls inside either side of a clone.
+ */
+function duplicationStats(files, clones) {
+    const duplicated = new Map(files.map(f => [f.fileName, new Set()]));
+    for (const clone of clones) {
+        for (const side of [clone.first, clone.second]) {
+            const set = duplicated.get(side.file);
+            for (let line = side.lineStart; line <= side.lineEnd; line++) set.add(line);
+        }
+    }
+
+    let totalLines = 0;
+    let totalDuplicated = 0;
+    const perFile = files.map(f => {
+        const codeLines = new Set(f.tokenStream.map(t => t.line));
+        const dup = [...duplicated.get(f.fileName)].filter(l => codeLines.has(l)).length;
+        totalLines += codeLines.size;
+        totalDuplicated += dup;
+        return {
+            file: f.fileName,
+            duplicatedLines: dup,
+            totalLines: codeLines.size,
+            percentage: codeLines.size > 0 ? parseFloat((dup * 100 / codeLines.size).toFixed(2)) : 0
+        };
+    });
+
+    return {
+        files: perFile,
+        duplicatedLines: totalDuplicated,
+        totalLines,
+        percentage: totalLines > 0 ? parseFloat((totalDuplicated * 100 / totalLines).toFixed(2)) : 0
+    };
+}
+
+module.exports = {
+    normalizeTokens,
+    detectClones
+};
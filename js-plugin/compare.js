@@ -0,0 +1,159 @@
+// Function metrics compared between two versions
+const COMPARED_METRICS = {
+    cognitive: f => f.cognitive_complexity,
+    cyclomatic: f => f.cyclomatic_complexity,
+    nloc: f => f.NLOC,
+    nesting: f => f.maxNestingDepth
+};
+
+// File and project totals compared between two versions
+const TOTALS = ['functions', 'cognitive', 'cyclomatic', 'nloc'];
+
+// Qualified name without the "(line N)" of anonymous functions and callbacks, which moves with the code
+function matchKey(fn) {
+    return (fn.longName ?? fn.name).replace(/ \(line \d+\)/g, '');
+}
+
+/**
+ * Pair the functions of two versions of a file by qualified name; functions sharing a name
+ * are paired closest start line first. Returns [[base, head]] with null for an added or removed side.
+ */
+function matchFunctions(baseFunctions, headFunctions) {
+    const pairs = [];
+    const keys = new Set([...baseFunctions, ...headFunctions].map(matchKey));
+
+    for (const key of keys) {
+        const base = baseFunctions.filter(f => matchKey(f) === key);
+        const head = headFunctions.filter(f => matchKey(f) === key);
+
+        const candidates = base.flatMap(b => head.map(h => [b, h]))
+            .sort((x, y) => Math.abs(x[0].lineStart - x[1].lineStart) - Math.abs(y[0].lineStart - y[1].lineStart));
+        const used = new Set();
+        for (const [b, h] of candidates) {
+            if (used.has(b) || used.has(h)) continue;
+            used.add(b);
+            used.add(h);
+            pairs.push([b, h]);
+        }
+        for (const b of base) if (!used.has(b)) pairs.push([b, null]);
+        for (const h of head) if (!used.has(h)) pairs.push([null, h]);
+    }
+    return pairs;
+}
+
+function snapshot(fn) {
+    const values = Object.fromEntries(Object.entries(COMPARED_METRICS).map(([key, get]) => [key, get(fn)]));
+    return { lineStart: fn.lineStart, lineEnd: fn.lineEnd, ...values };
+}
+
+function totalsOf(metrics) {
+    return {
+        functions: metrics.functions.length,
+        cognitive: metrics.functions.reduce((acc, f) => acc + f.cognitive_complexity, 0),
+        cyclomatic: metrics.functions.reduce((acc, f) => acc + f.cyclomatic_complexity, 0),
+        nloc: metrics.NLOC
+    };
+}
+
+function emptyTotals() {
+    return Object.fromEntries(TOTALS.map(key => [key, 0]));
+}
+
+// head - base for every key; a missing side counts as zero
+function difference(base, head, keys) {
+    return Object.fromEntries(keys.map(key => [key, (head?.[key] ?? 0) - (base?.[key] ?? 0)]));
+}
+
+// One matched pair of functions as { name, longName, status, base, head, delta }; either side may be null
+function comparePair(b, h) {
+    const base = b ? snapshot(b) : null;
+    const head = h ? snapshot(h) : null;
+    const delta = difference(base, head, Object.keys(COMPARED_METRICS));
+    const status = !b ? 'added' : !h ? 'removed' : Object.values(delta).some(value => value !== 0) ? 'changed' : 'unchanged';
+    const fn = h ?? b;
+    return { name: fn.name, longName: fn.longName, status, base, head, delta };
+}
+
+function byWorstFirst(a, b) {
+    return b.delta.cognitive - a.delta.cognitive || b.delta.cyclomatic - a.delta.cyclomatic
+        || String(a.longName ?? a.fileName).localeCompare(String(b.longName ?? b.fileName));
+}
+
+/**
+ * Function-level differences between two versions of one file. Either side may be null for an
+ * added or removed file. Unchanged functions are counted but not listed.
+ */
+function compareFile(fileName, baseMetrics, headMetrics) {
+    const functions = [];
+    let unchanged = 0;
+
+    for (const [b, h] of matchFunctions(baseMetrics?.functions ?? [], headMetrics?.functions ?? [])) {
+        const entry = comparePair(b, h);
+        if (entry.status === 'unchanged') unchanged += 1;
+        else functions.push(entry);
+    }
+
+    const base = baseMetrics ? totalsOf(baseMetrics) : null;
+    const head = headMetrics ? totalsOf(headMetrics) : null;
+    const delta = difference(base, head, TOTALS);
+    const status = !base ? 'added' : !head ? 'removed'
+        : functions.length > 0 || TOTALS.some(key => delta[key] !== 0) ? 'modified' : 'unchanged';
+
+    return { fileName, status, base, head, delta, unchangedFunctions: unchanged, functions: functions.sort(byWorstFirst) };
+}
+
+/**
+ * Compare two analyses of a project (per-file results as returned by /analyze-zip): per-file and
+ * per-function deltas, worst first, plus project totals. Files matched by name; files that failed
+ * to analyze in either version are listed under `failed` and left out of the totals.
+ */
+function compareAnalyses(baseResults, headResults) {
+    const base = new Map(baseResults.map(r => [r.fileName, r]));
+    const head = new Map(headResults.map(r => [r.fileName, r]));
+    const fileNames = [...new Set([...base.keys(), ...head.keys()])].sort();
+
+    const files = [];
+    const failed = [];
+    const summary = {
+        base: emptyTotals(),
+        head: emptyTotals(),
+        files: { added: 0, removed: 0, modified: 0, unchanged: 0 },
+        functions: { added: 0, removed: 0, changed: 0, unchanged: 0, worse: 0, better: 0 }
+    };
+
+    for (const fileName of fileNames) {
+        const b = base.get(fileName);
+        const h = head.get(fileName);
+        if ((b && !b.metrics) || (h && !h.metrics)) {
+            failed.push({ fileName, base: b?.error ?? null, head: h?.error ?? null });
+            continue;
+        }
+
+        const file = compareFile(fileName, b?.metrics ?? null, h?.metrics ?? null);
+        summary.files[file.status] += 1;
+        summary.functions.unchanged += file.unchangedFunctions;
+        for (const fn of file.functions) {
+            summary.functions[fn.status] += 1;
+            if (fn.delta.cognitive > 0) summary.functions.worse += 1;
+            if (fn.delta.cognitive < 0) summary.functions.better += 1;
+        }
+        for (const key of TOTALS) {
+            summary.base[key] += file.base?.[key] ?? 0;
+            summary.head[key] += file.head?.[key] ?? 0;
+        }
+        if (file.status !== 'unchanged') files.push(file);
+    }
+    summary.delta = difference(summary.base, summary.head, TOTALS);
+
+    return { summary, files: files.sort(byWorstFirst), failed };
+}
+
+module.exports = {
+    COMPARED_METRICS,
+    matchKey,
+    matchFunctions,
+    comparePair,
+    byWorstFirst,
+    compareFile,
+    compareAnalyses
+};
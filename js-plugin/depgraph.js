@@ -0,0 +1,153 @@
+const { builtinModules } = require('node:module');
+const { findCycles, resolveImport } = require('./callgraph');
+
+function stringSource(node) {
+    if (node?.type === 'StringLiteral') return node.value;
+    if (node?.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+    return null;
+}
+
+/**
+ * Module specifier referenced by a node, if any:
+ * import/export-from declarations, require('x') and dynamic import('x').
+ * Returns { source, kind, line } or null.
+ */
+function importOf(p) {
+    const node = p.node;
+    const line = node.loc?.start?.line ?? null;
+
+    if (p.isImportDeclaration()) {
+        return { source: node.source.value, kind: node.importKind === 'type' ? 'type' : 'import', line };
+    }
+    if ((p.isExportNamedDeclaration() || p.isExportAllDeclaration()) && node.source) {
+        return { source: node.source.value, kind: 'export', line };
+    }
+    if (p.isCallExpression()) {
+        const source = stringSource(node.arguments[0]);
+        if (!source) return null;
+        if (node.callee.type === 'Import') return { source, kind: 'dynamic', line };
+        if (node.callee.type === 'Identifier' && node.callee.name === 'require' && !p.scope.hasBinding('require')) {
+            return { source, kind: 'require', line };
+        }
+    }
+    if (p.isImportExpression?.()) {
+        const source = stringSource(node.source);
+        return source ? { source, kind: 'dynamic', line } : null;
+    }
+
+    return null;
+}
+
+// Bare specifiers name a package: 'lodash/fp' -> 'lodash', '@scope/pkg/x' -> '@scope/pkg'
+function packageName(specifier) {
+    const parts = specifier.split('/');
+    return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+/**
+ * Project module graph from each file's import list.
+ * files: [{ fileName, imports }]
+ * Efferent coupling (Ce) counts project modules and external packages a module depends on,
+ * afferent coupling (Ca) the project modules depending on it; instability = Ce / (Ca + Ce).
+ */
+function buildDependencyGraph(files) {
+    const fileNames = new Set(files.map(f => f.fileName));
+    const ids = files.map(f => f.fileName);
+    const edgeMap = new Map();
+    const dependsOn = new Map(ids.map(id => [id, new Set()]));
+    const dependents = new Map(ids.map(id => [id, new Set()]));
+    const external = new Map(ids.map(id => [id, new Set()]));
+    const unresolved = [];
+
+    for (const { fileName, imports } of files) {
+        for (const imp of imports) {
+            const isRelative = imp.source.startsWith('./') || imp.source.startsWith('../');
+            if (!isRelative) {
+                // Node built-ins are not counted as coupling
+                const isBuiltin = imp.source.startsWith('node:') || builtinModules.includes(packageName(imp.source));
+                if (!isBuiltin) external.get(fileName).add(packageName(imp.source));
+                continue;
+            }
+
+            const target = resolveImport(fileName, imp.source, fileNames);
+            if (!target) {
+                unresolved.push({ from: fileName, source: imp.source, line: imp.line });
+                continue;
+            }
+
+            const key = `${fileName}\u0000${target}`;
+            if (!edgeMap.has(key)) edgeMap.set(key, { from: fileName, to: target, kinds: [] });
+            const edge = edgeMap.get(key);
+            if (!edge.kinds.includes(imp.kind)) edge.kinds.push(imp.kind);
+
+            dependsOn.get(fileName).add(target);
+            dependents.get(target).add(fileName);
+        }
+    }
+
+    const edges = [...edgeMap.values()];
+    const cycles = findCycles(ids, id => [...dependsOn.get(id)]);
+
+    const modules = ids.map(id => {
+        const ca = dependents.get(id).size;
+        const ce = dependsOn.get(id).size + external.get(id).size;
+        return {
+            file: id,
+            afferentCoupling: ca,
+            efferentCoupling: ce,
+            instability: ca + ce > 0 ? parseFloat((ce / (ca + ce)).toFixed(2)) : 0,
+            dependsOn: [...dependsOn.get(id)],
+            dependents: [...dependents.get(id)],
+            externalDependencies: [...external.get(id)]
+        };
+    });
+
+    return { modules, edges, cycles, unresolved };
+}
+
+function edgesInCycles(graph) {
+    const cycleOf = new Map();
+    graph.cycles.forEach((cycle, i) => cycle.forEach(id => cycleOf.set(id, i)));
+    return new Set(graph.edges
+        .filter(e => cycleOf.has(e.from) && cycleOf.get(e.from) === cycleOf.get(e.to))
+        .map(e => `${e.from}\u0000${e.to}`));
+}
+
+// Graphviz DOT; edges that are part of a cycle are drawn red
+function toDot(graph) {
+    const cyclic = edgesInCycles(graph);
+    const quote = (s) => `"${s.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    const lines = ['digraph dependencies {', '    rankdir=LR;', '    node [shape=box];'];
+
+    for (const m of graph.modules) lines.push(`    ${quote(m.file)};`);
+    for (const e of graph.edges) {
+        const attrs = cyclic.has(`${e.from}\u0000${e.to}`) ? ' [color=red]' : '';
+        lines.push(`    ${quote(e.from)} -> ${quote(e.to)}${attrs};`);
+    }
+
+    lines.push('}');
+    return lines.join('\n');
+}
+
+// Mermaid flowchart; edges that are part of a cycle are drawn red
+function toMermaid(graph) {
+    const cyclic = edgesInCycles(graph);
+    const idOf = new Map(graph.modules.map((m, i) => [m.file, `m${i}`]));
+    const label = (s) => s.replace(/"/g, '#quot;');
+    const lines = ['graph LR'];
+
+    for (const m of graph.modules) lines.push(`    ${idOf.get(m.file)}["${label(m.file)}"]`);
+    graph.edges.forEach((e, i) => {
+        lines.push(`    ${idOf.get(e.from)} --> ${idOf.get(e.to)}`);
+        if (cyclic.has(`${e.from}\u0000${e.to}`)) lines.push(`    linkStyle ${i} stroke:red`);
+    });
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    importOf,
+    buildDependencyGraph,
+    toDot,
+    toMermaid
+};
@@ -0,0 +1,117 @@
+const { METRICS } = require('./gate');
+
+const TOOL_NAME = 'js-plugin';
+const REPORT_FORMATS = ['json', 'sarif', 'checkstyle'];
+
+// 'cognitiveComplexity' -> 'cognitive complexity'
+function metricTitle(metric) {
+    return metric.replace(/([A-Z])/g, ' $1').toLowerCase();
+}
+
+function violationMessage(v) {
+    const subject = v.scope === 'project' ? 'Project' : (v.longName ?? v.name ?? v.file);
+    const comparison = v.kind === 'min' ? 'is below the minimum of' : 'exceeds the threshold of';
+    return `${subject}: ${v.scope} ${metricTitle(v.metric)} ${v.value} ${comparison} ${v.threshold}`;
+}
+
+// One SARIF rule per threshold kind, e.g. function/cognitiveComplexity
+function sarifRules() {
+    return Object.entries(METRICS).flatMap(([scope, metrics]) => Object.entries(metrics).map(([metric, { kind }]) => ({
+        id: `${scope}/${metric}`,
+        name: `${scope}-${metric}`,
+        shortDescription: {
+            text: `${scope[0].toUpperCase()}${scope.slice(1)} ${metricTitle(metric)} ${kind === 'min' ? 'below minimum' : 'above threshold'}`
+        },
+        defaultConfiguration: { level: 'warning' }
+    })));
+}
+
+/**
+ * SARIF 2.1.0 log for a list of quality gate violations.
+ */
+function toSarif(violations) {
+    const rules = sarifRules();
+    const ruleIndex = new Map(rules.map((r, i) => [r.id, i]));
+
+    return {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: { driver: { name: TOOL_NAME, rules } },
+            results: violations.map(v => ({
+                ruleId: v.ruleId,
+                ruleIndex: ruleIndex.get(v.ruleId),
+                level: 'warning',
+                message: { text: violationMessage(v) },
+                ...(v.file ? {
+                    locations: [{
+                        physicalLocation: {
+                            artifactLocation: { uri: v.file },
+                            region: {
+                                startLine: v.lineStart ?? 1,
+                                ...(v.lineEnd ? { endLine: v.lineEnd } : {})
+                            }
+                        },
+                        ...(v.longName ? { logicalLocations: [{ fullyQualifiedName: v.longName, kind: 'function' }] } : {})
+                    }]
+                } : {}),
+                properties: { value: v.value, threshold: v.threshold }
+            }))
+        }]
+    };
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Checkstyle XML for a list of quality gate violations, grouped by file.
+ * Project-wide violations are reported against '.'.
+ */
+function toCheckstyle(violations) {
+    const byFile = new Map();
+    for (const v of violations) {
+        const file = v.file ?? '.';
+        if (!byFile.has(file)) byFile.set(file, []);
+        byFile.get(file).push(v);
+    }
+
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<checkstyle version="4.3">'];
+    for (const [file, list] of byFile) {
+        lines.push(`  <file name="${escapeXml(file)}">`);
+        for (const v of list) {
+            lines.push(`    <error line="${v.lineStart ?? 1}" severity="warning" message="${escapeXml(violationMessage(v))}" source="${escapeXml(`${TOOL_NAME}.${v.ruleId.replace('/', '.')}`)}"/>`);
+        }
+        lines.push('  </file>');
+    }
+    lines.push('</checkstyle>');
+
+    return lines.join('\n');
+}
+
+/**
+ * Render violations in one of REPORT_FORMATS other than 'json'.
+ * Returns { contentType, body } ready to send.
+ */
+function formatReport(violations, format) {
+    if (format === 'sarif') {
+        return { contentType: 'application/sarif+json', body: JSON.stringify(toSarif(violations), null, 2) };
+    }
+    if (format === 'checkstyle') {
+        return { contentType: 'application/xml', body: toCheckstyle(violations) };
+    }
+    throw new Error(`Unknown report format "${format}" (expected one of ${REPORT_FORMATS.join(', ')})`);
+}
+
+module.exports = {
+    REPORT_FORMATS,
+    toSarif,
+    toCheckstyle,
+    formatReport
+};
@@ -0,0 +1,200 @@
+const { matchesGlob } = require('./glob');
+
+// Name of the config file picked up from the root of an uploaded project
+const CONFIG_FILE_NAME = '.complexityrc.json';
+
+/**
+ * Metrics a threshold can be set on, per scope. `max` thresholds fail when the value is
+ * above the limit, `min` thresholds when it is below.
+ */
+const METRICS = {
+    function: {
+        cognitiveComplexity: { kind: 'max', get: f => f.cognitive_complexity },
+        cyclomaticComplexity: { kind: 'max', get: f => f.cyclomatic_complexity },
+        nloc: { kind: 'max', get: f => f.NLOC },
+        tokenCount: { kind: 'max', get: f => f.tokenCount },
+        parameterCount: { kind: 'max', get: f => f.parameterCount },
+        maxNestingDepth: { kind: 'max', get: f => f.maxNestingDepth },
+        fanOut: { kind: 'max', get: f => f.fanOut },
+        halsteadVolume: { kind: 'max', get: f => f.halstead?.volume },
+        maintainabilityIndex: { kind: 'min', get: f => f.maintainabilityIndex }
+    },
+    file: {
+        nloc: { kind: 'max', get: m => m.NLOC },
+        functionCount: { kind: 'max', get: m => m.NOF },
+        cognitiveComplexity: { kind: 'max', get: m => m.cognitive_complexity?.sum },
+        cyclomaticComplexity: { kind: 'max', get: m => m.cyclomatic_complexity?.sum },
+        maintainabilityIndex: { kind: 'min', get: m => m.maintainabilityIndex }
+    },
+    class: {
+        wmc: { kind: 'max', get: c => c.wmc },
+        methods: { kind: 'max', get: c => c.methods },
+        lcom: { kind: 'max', get: c => c.lcom },
+        dit: { kind: 'max', get: c => c.dit }
+    },
+    project: {
+        duplicationPercentage: { kind: 'max', get: p => p.duplication?.percentage },
+        dependencyCycles: { kind: 'max', get: p => p.dependencyGraph?.cycles.length }
+    }
+};
+
+const DEFAULT_CONFIG = {
+    function: {
+        cognitiveComplexity: 15,
+        cyclomaticComplexity: 10,
+        nloc: 100,
+        parameterCount: 5,
+        maxNestingDepth: 4
+    },
+    file: {
+        nloc: 1000
+    },
+    class: {},
+    project: {},
+    overrides: []
+};
+
+function validateSection(scope, section, where) {
+    if (section === undefined) return;
+    if (typeof section !== 'object' || section === null || Array.isArray(section)) {
+        throw new Error(`Invalid quality gate config: "${scope}" in ${where} must be an object`);
+    }
+    for (const [metric, limit] of Object.entries(section)) {
+        if (!METRICS[scope][metric]) {
+            throw new Error(`Invalid quality gate config: unknown ${scope} metric "${metric}" in ${where}`);
+        }
+        if (limit !== null && typeof limit !== 'number') {
+            throw new Error(`Invalid quality gate config: ${scope}.${metric} in ${where} must be a number or null`);
+        }
+    }
+}
+
+/**
+ * Merge config sources over the defaults, later sources winning. Each source may be an
+ * object or a JSON string; null/undefined sources are skipped. A threshold set to null
+ * disables that check.
+ */
+function resolveConfig(...sources) {
+    const config = {
+        function: { ...DEFAULT_CONFIG.function },
+        file: { ...DEFAULT_CONFIG.file },
+        class: { ...DEFAULT_CONFIG.class },
+        project: { ...DEFAULT_CONFIG.project },
+        overrides: []
+    };
+
+    for (const source of sources) {
+        if (source === undefined || source === null || source === '') continue;
+        let parsed = source;
+        if (typeof source === 'string') {
+            try {
+                parsed = JSON.parse(source);
+            } catch (error) {
+                throw new Error(`Invalid quality gate config: ${error.message}`);
+            }
+        }
+
+        for (const scope of Object.keys(METRICS)) {
+            validateSection(scope, parsed[scope], 'config');
+            Object.assign(config[scope], parsed[scope]);
+        }
+
+        for (const [i, override] of (parsed.overrides ?? []).entries()) {
+            if (!override.files) throw new Error(`Invalid quality gate config: overrides[${i}] needs "files"`);
+            for (const scope of ['function', 'file', 'class']) {
+                validateSection(scope, override[scope], `overrides[${i}]`);
+            }
+            config.overrides.push(override);
+        }
+    }
+
+    return config;
+}
+
+// Thresholds in effect for one file: base config plus every matching override, in order
+function thresholdsFor(config, fileName) {
+    const thresholds = {
+        function: { ...config.function },
+        file: { ...config.file },
+        class: { ...config.class }
+    };
+
+    for (const override of config.overrides) {
+        if (!matchesGlob(fileName, override.files)) continue;
+        for (const scope of Object.keys(thresholds)) Object.assign(thresholds[scope], override[scope]);
+    }
+
+    return thresholds;
+}
+
+function check(scope, limits, subject, describe) {
+    const violations = [];
+
+    for (const [metric, limit] of Object.entries(limits)) {
+        if (limit === null || limit === undefined) continue;
+        const { kind, get } = METRICS[scope][metric];
+        const value = get(subject);
+        if (value === undefined || value === null) continue;
+
+        const failed = kind === 'max' ? value > limit : value < limit;
+        if (failed) {
+            violations.push({
+                ruleId: `${scope}/${metric}`,
+                scope,
+                metric,
+                value,
+                threshold: limit,
+                kind,
+                ...describe
+            });
+        }
+    }
+
+    return violations;
+}
+
+/**
+ * Threshold violations for one analyzed file (functions, classes and the file itself).
+ */
+function evaluateFile(fileName, metrics, config) {
+    const limits = thresholdsFor(config, fileName);
+    const violations = [];
+
+    violations.push(...check('file', limits.file, metrics, { file: fileName, lineStart: 1, lineEnd: metrics.LOC }));
+
+    // Functions suppressed with a comment (see suppressions.js) keep their scores but never fail
+    for (const fn of metrics.functions.filter(f => !f.suppressed)) {
+        violations.push(...check('function', limits.function, fn, {
+            file: fileName,
+            name: fn.name,
+            longName: fn.longName,
+            lineStart: fn.lineStart,
+            lineEnd: fn.lineEnd
+        }));
+    }
+
+    for (const cls of metrics.classes ?? []) {
+        violations.push(...check('class', limits.class, cls, {
+            file: fileName,
+            name: cls.name,
+            lineStart: cls.lineStart,
+            lineEnd: cls.lineEnd
+        }));
+    }
+
+    return violations;
+}
+
+// Project-wide violations (zip uploads): duplication and import cycles
+function evaluateProject(project, config) {
+    return check('project', config.project, project, { file: null });
+}
+
+module.exports = {
+    CONFIG_FILE_NAME,
+    METRICS,
+    DEFAULT_CONFIG,
+    resolveConfig,
+    evaluateFile,
+    evaluateProject
+};
@@ -0,0 +1,61 @@
+// Minimal glob support for '/'-separated relative paths: **, *, ?, [abc] and {a,b}
+function globToRegExp(glob) {
+    let re = '';
+    let inGroup = false;
+
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === '*') {
+            if (glob[i + 1] === '*') {
+                // '**/' matches zero or more directories, a trailing '**' matches everything
+                const slash = glob[i + 2] === '/';
+                re += slash ? '(?:.*/)?' : '.*';
+                i += slash ? 2 : 1;
+            } else {
+                re += '[^/]*';
+            }
+        } else if (c === '?') {
+            re += '[^/]';
+        } else if (c === '[') {
+            const close = glob.indexOf(']', i);
+            if (close === -1) {
+                re += '\\[';
+            } else {
+                re += `[${glob.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+                i = close;
+            }
+        } else if (c === '{') {
+            inGroup = true;
+            re += '(?:';
+        } else if (c === '}' && inGroup) {
+            inGroup = false;
+            re += ')';
+        } else if (c === ',' && inGroup) {
+            re += '|';
+        } else {
+            re += c.replace(/[.+^$()|\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${re}$`);
+}
+
+/**
+ * True when `filePath` matches any of the patterns. A pattern without '/' matches the
+ * base name in any directory (like .gitignore), e.g. '*.min.js'.
+ */
+function matchesGlob(filePath, patterns) {
+    const list = Array.isArray(patterns) ? patterns : [patterns];
+    const base = filePath.split('/').pop();
+
+    return list.some(pattern => {
+        const clean = pattern.replace(/^\.\//, '');
+        const re = globToRegExp(clean);
+        return clean.includes('/') ? re.test(filePath) : re.test(base) || re.test(filePath);
+    });
+}
+
+module.exports = {
+    globToRegExp,
+    matchesGlob
+};
@@ -0,0 +1,313 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { spawn, execFile } = require('node:child_process');
+const readline = require('node:readline');
+const { promisify } = require('node:util');
+
+const execFileAsync = promisify(execFile);
+
+const DEFAULT_MAX_COMMITS = 2000;
+const DEFAULT_RECENT_DAYS = 90;
+const DEFAULT_HOTSPOT_LIMIT = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const COMMIT_MARKER = '\x1eCOMMIT\x1f';
+
+// Uploaded repositories are untrusted: keep their config from running programs or rewriting output
+const SAFE_GIT_ARGS = [
+    '-c', 'core.fsmonitor=false',
+    '-c', 'core.quotePath=false',
+    '-c', 'diff.external=',
+    '-c', 'log.showSignature=false',
+    '-c', 'color.ui=false'
+];
+
+// Files that make git read objects or refs from another repository
+const FOREIGN_REPOSITORY_FILES = ['commondir', 'objects/info/alternates', 'objects/info/http-alternates'];
+
+/**
+ * The .git folder of an uploaded project. Only a real folder is accepted: a .git file
+ * ("gitdir: ..."), a commondir or alternates would let an upload read any repository on the server.
+ */
+function uploadedGitDir(rootPath) {
+    const gitDir = path.join(rootPath, '.git');
+    if (!fs.lstatSync(gitDir, { throwIfNoEntry: false })?.isDirectory()) {
+        throw new Error('Not a git repository (the project needs its .git folder)');
+    }
+    for (const name of FOREIGN_REPOSITORY_FILES) {
+        if (fs.lstatSync(path.join(gitDir, name), { throwIfNoEntry: false })) {
+            throw new Error(`Uploaded repositories can't use .git/${name}`);
+        }
+    }
+    return gitDir;
+}
+
+// `ceiling` stops git from finding a repository above the project (GIT_CEILING_DIRECTORIES);
+// `gitDir` names the repository so git doesn't look for one, with `cwd` as its working tree
+function gitEnv(cwd, { ceiling, gitDir } = {}) {
+    return {
+        ...process.env,
+        GIT_CEILING_DIRECTORIES: ceiling ?? '',
+        ...(gitDir ? { GIT_DIR: gitDir, GIT_WORK_TREE: cwd } : {}),
+        GIT_TERMINAL_PROMPT: '0',
+        GIT_OPTIONAL_LOCKS: '0'
+    };
+}
+
+async function git(cwd, args, location) {
+    const { stdout } = await execFileAsync('git', [...SAFE_GIT_ARGS, ...args], { cwd, env: gitEnv(cwd, location) });
+    return stdout.trim();
+}
+
+// The commit checked out at `cwd`, or null when it is not inside a git repository with commits.
+// `location`: { ceiling, gitDir } (see gitEnv)
+async function repositoryHead(cwd, location) {
+    try {
+        return await git(cwd, ['rev-parse', '--verify', 'HEAD'], location);
+    } catch (error) {
+        return null;
+    }
+}
+
+function diffPath(text) {
+    const clean = text.replace(/\t$/, '');
+    return clean === '/dev/null' ? null : clean.replace(/^[ab]\//, '');
+}
+
+/**
+ * Commits touching `cwd`, newest first, read from one streamed `git log -p -U0`:
+ * [{ hash, author, email, time, files: [{ oldPath, newPath, created, hunks, added, deleted }] }].
+ * Paths are relative to `cwd`; hunks are { oldStart, oldLines, newStart, newLines }.
+ */
+async function readCommits(cwd, { since, maxCommits = DEFAULT_MAX_COMMITS, ceiling, gitDir } = {}) {
+    const args = [
+        ...SAFE_GIT_ARGS, 'log', '--no-merges', '-M', '--relative', '-p', '-U0',
+        '--no-ext-diff', '--no-textconv', '--no-color',
+        `--format=${COMMIT_MARKER}%H%x1f%an%x1f%ae%x1f%at`,
+        `--max-count=${maxCommits}`,
+        ...(since ? [`--since=${since}`] : []),
+        '--', '.'
+    ];
+    const child = spawn('git', args, { cwd, env: gitEnv(cwd, { ceiling, gitDir }) });
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    const exited = new Promise((resolve, reject) => {
+        child.on('error', reject);
+        child.on('close', resolve);
+    });
+
+    const commits = [];
+    let commit = null;
+    let file = null;
+    let pending = 0; // Lines of the current hunk body still to skip
+
+    for await (const line of readline.createInterface({ input: child.stdout, crlfDelay: Infinity })) {
+        if (pending > 0) {
+            if (!line.startsWith('\\')) pending--; // "\ No newline at end of file" is not a hunk line
+            continue;
+        }
+
+        if (line.startsWith(COMMIT_MARKER)) {
+            const [hash, author, email, time] = line.slice(COMMIT_MARKER.length).split('\x1f');
+            commit = { hash, author, email, time: parseInt(time, 10) * 1000, files: [] };
+            commits.push(commit);
+        } else if (line.startsWith('diff --git ')) {
+            // Fallback paths for renames and binary or mode-only changes, which have no ---/+++ lines
+            const [, oldPath = null, newPath = null] = /^diff --git a\/(.*) b\/(.*)$/.exec(line) ?? [];
+            file = { oldPath, newPath, created: false, hunks: [], added: 0, deleted: 0 };
+            commit?.files.push(file);
+        } else if (!file) {
+            continue;
+        } else if (line.startsWith('new file mode')) {
+            file.created = true;
+            file.oldPath = null;
+        } else if (line.startsWith('deleted file mode')) {
+            file.newPath = null;
+        } else if (line.startsWith('rename from ')) {
+            file.oldPath = line.slice('rename from '.length);
+        } else if (line.startsWith('rename to ')) {
+            file.newPath = line.slice('rename to '.length);
+        } else if (line.startsWith('--- ')) {
+            file.oldPath = diffPath(line.slice(4));
+        } else if (line.startsWith('+++ ')) {
+            file.newPath = diffPath(line.slice(4));
+        } else if (line.startsWith('@@ ')) {
+            const m = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/.exec(line);
+            if (!m) continue;
+            const hunk = {
+                oldStart: parseInt(m[1], 10),
+                oldLines: m[2] === undefined ? 1 : parseInt(m[2], 10),
+                newStart: parseInt(m[3], 10),
+                newLines: m[4] === undefined ? 1 : parseInt(m[4], 10)
+            };
+            file.hunks.push(hunk);
+            file.added += hunk.newLines;
+            file.deleted += hunk.oldLines;
+            pending = hunk.oldLines + hunk.newLines;
+        }
+    }
+
+    const code = await exited;
+    if (code !== 0) throw new Error(`git log failed: ${stderr.trim() || `exit code ${code}`}`);
+    return commits;
+}
+
+// Changes to one file, newest first, following renames back to where the file was created
+function changesOf(commits, fileName) {
+    const changes = [];
+    let name = fileName;
+    for (const commit of commits) {
+        const change = commit.files.find(f => f.newPath === name);
+        if (!change) continue;
+        changes.push({ commit, change });
+        if (change.created || !change.oldPath) break;
+        name = change.oldPath;
+    }
+    return changes;
+}
+
+// Lines added or removed by a hunk within [start, end] (new-side line numbers)
+function hunkChurn(hunk, start, end) {
+    // A pure deletion sits after line newStart; it is inside the range if code follows it there
+    if (hunk.newLines === 0) return hunk.newStart >= start && hunk.newStart < end ? hunk.oldLines : 0;
+    const overlap = Math.min(end, hunk.newStart + hunk.newLines - 1) - Math.max(start, hunk.newStart) + 1;
+    return overlap > 0 ? overlap + Math.min(hunk.oldLines, overlap) : 0;
+}
+
+// Where a new-side line was before the commit; lines inside a changed block map to that block's edges
+function lineBefore(hunks, line, edge) {
+    let shift = 0;
+    for (const hunk of hunks) {
+        const newEnd = hunk.newStart + hunk.newLines - 1;
+        if (hunk.newLines > 0 && line >= hunk.newStart && line <= newEnd) {
+            if (hunk.oldLines === 0) return edge === 'start' ? hunk.oldStart + 1 : hunk.oldStart;
+            return edge === 'start' ? hunk.oldStart : hunk.oldStart + hunk.oldLines - 1;
+        }
+        const before = hunk.newLines > 0 ? newEnd < line : hunk.newStart < line;
+        if (before) shift += hunk.newLines - hunk.oldLines;
+    }
+    return line - shift;
+}
+
+function createStats() {
+    return { commits: 0, authors: new Set(), churn: 0, recentCommits: 0, recentChurn: 0, lastChanged: null };
+}
+
+function record(stats, commit, churn, recentSince) {
+    stats.commits += 1;
+    stats.authors.add(commit.email.toLowerCase() || commit.author);
+    stats.churn += churn;
+    if (commit.time >= recentSince) {
+        stats.recentCommits += 1;
+        stats.recentChurn += churn;
+    }
+    stats.lastChanged = Math.max(stats.lastChanged ?? 0, commit.time);
+}
+
+function finishStats(stats) {
+    return {
+        ...stats,
+        authors: stats.authors.size,
+        lastChanged: stats.lastChanged === null ? null : new Date(stats.lastChanged).toISOString()
+    };
+}
+
+/**
+ * History of the function at [lineStart, lineEnd] in the current file: every commit whose hunks
+ * touch the range counts as a change. The range is carried back through each commit's hunks
+ * (like `git log -L`) until the commit that introduced the function.
+ */
+function functionHistory(changes, lineStart, lineEnd, recentSince) {
+    const stats = createStats();
+    let start = lineStart;
+    let end = lineEnd;
+
+    for (const { commit, change } of changes) {
+        const churn = change.hunks.reduce((acc, hunk) => acc + hunkChurn(hunk, start, end), 0);
+        if (churn > 0) record(stats, commit, churn, recentSince);
+        if (change.created) break;
+
+        const before = [lineBefore(change.hunks, start, 'start'), lineBefore(change.hunks, end, 'end')];
+        if (before[1] < before[0]) break; // Every line of the function is new in this commit
+        [start, end] = before;
+    }
+    return finishStats(stats);
+}
+
+function byScore(a, b) {
+    return b.score - a.score || b.recentChurn - a.recentChurn || a.fileName.localeCompare(b.fileName);
+}
+
+/**
+ * Hotspots of a git working tree: analyzed files and functions ranked by complexity × number of
+ * commits that changed them, with authors and recent churn. `results` are per-file results
+ * ({ fileName, metrics }) with file names relative to `rootPath`. Runs git locally only.
+ * Options: since (git date), recentDays, maxCommits, limit, ceiling and gitDir (see gitEnv).
+ */
+async function analyzeHotspots(rootPath, results, {
+    since,
+    recentDays = DEFAULT_RECENT_DAYS,
+    maxCommits = DEFAULT_MAX_COMMITS,
+    limit = DEFAULT_HOTSPOT_LIMIT,
+    ceiling,
+    gitDir
+} = {}) {
+    const head = await repositoryHead(rootPath, { ceiling, gitDir });
+    if (!head) throw new Error('Not a git repository with commits (the project needs its .git folder)');
+
+    const commits = await readCommits(rootPath, { since, maxCommits, ceiling, gitDir });
+    // "Recent" is relative to the newest commit, so an old checkout still has recent activity
+    const newest = commits.length > 0 ? commits[0].time : Date.now();
+    const recentSince = newest - recentDays * DAY_MS;
+
+    const files = [];
+    const functions = [];
+    for (const r of results.filter(r => r.metrics)) {
+        const changes = changesOf(commits, r.fileName);
+
+        const fileStats = createStats();
+        for (const { commit, change } of changes) record(fileStats, commit, change.added + change.deleted, recentSince);
+        const cognitive = r.metrics.cognitive_complexity?.sum ?? 0;
+        const stats = finishStats(fileStats);
+        files.push({ fileName: r.fileName, cognitive_complexity: cognitive, NLOC: r.metrics.NLOC, ...stats, score: cognitive * stats.commits });
+
+        for (const fn of r.metrics.functions) {
+            const history = functionHistory(changes, fn.lineStart, fn.lineEnd, recentSince);
+            functions.push({
+                fileName: r.fileName,
+                name: fn.name,
+                longName: fn.longName,
+                lineStart: fn.lineStart,
+                lineEnd: fn.lineEnd,
+                cognitive_complexity: fn.cognitive_complexity,
+                cyclomatic_complexity: fn.cyclomatic_complexity,
+                ...history,
+                score: fn.cognitive_complexity * history.commits
+            });
+        }
+    }
+
+    return {
+        repository: {
+            head,
+            commits: commits.length,
+            from: commits.length > 0 ? new Date(commits[commits.length - 1].time).toISOString() : null,
+            to: commits.length > 0 ? new Date(newest).toISOString() : null,
+            recentSince: new Date(recentSince).toISOString(),
+            truncated: commits.length >= maxCommits
+        },
+        files: files.filter(f => f.score > 0).sort(byScore).slice(0, limit),
+        hotspots: functions.filter(f => f.score > 0).sort(byScore).slice(0, limit)
+    };
+}
+
+module.exports = {
+    DEFAULT_MAX_COMMITS,
+    DEFAULT_RECENT_DAYS,
+    DEFAULT_HOTSPOT_LIMIT,
+    uploadedGitDir,
+    repositoryHead,
+    readCommits,
+    functionHistory,
+    analyzeHotspots
+};
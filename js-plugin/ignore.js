@@ -0,0 +1,110 @@
+const { globToRegExp, matchesGlob } = require('./glob');
+
+// Project-level ignore file, read like .gitignore from any directory of a project
+const IGNORE_FILE_NAME = '.complexityignore';
+
+// Folders that are never walked: dependencies, VCS metadata, build and coverage output
+const IGNORED_DIRECTORIES = ['node_modules', 'dist', 'build', 'coverage', 'vendor'];
+
+// Minified: most of the file is on lines at least this long
+const MINIFIED_LINE_LENGTH = 500;
+const MINIFIED_SHARE = 0.5;
+// Generated-code markers are only looked for in the file header
+const HEADER_LENGTH = 1024;
+
+function isIgnoredDirectory(name) {
+    return IGNORED_DIRECTORIES.includes(name) || name.startsWith('.git');
+}
+
+/**
+ * Rules of a .gitignore-style file found in `base` (a '/'-separated directory relative to
+ * the project root, '' for the root). Supports comments, '!' negation, trailing '/' for
+ * directories only and leading or inner '/' to anchor a pattern to `base`.
+ */
+function parseIgnoreFile(text, base = '', source = IGNORE_FILE_NAME) {
+    const rules = [];
+    for (const rawLine of text.split(/\r?\n/)) {
+        let pattern = rawLine.replace(/(?<!\\)\s+$/, '');
+        if (!pattern || pattern.startsWith('#')) continue;
+
+        const negated = pattern.startsWith('!');
+        if (negated) pattern = pattern.slice(1);
+        pattern = pattern.replace(/^\\([#!])/, '$1');
+
+        const directoryOnly = pattern.endsWith('/');
+        if (directoryOnly) pattern = pattern.slice(0, -1);
+        const anchored = pattern.includes('/');
+        pattern = pattern.replace(/^\//, '');
+        if (!pattern) continue;
+
+        rules.push({ pattern: rawLine.trim(), re: globToRegExp(pattern), negated, directoryOnly, anchored, base, source });
+    }
+    return rules;
+}
+
+/**
+ * The rule deciding whether `relativePath` is ignored (the last one matching wins, as in git),
+ * or null when no rule applies. Check `.negated` on the result: a negated rule re-includes.
+ */
+function matchIgnoreRules(rules, relativePath, isDirectory) {
+    let decision = null;
+    for (const rule of rules) {
+        if (rule.directoryOnly && !isDirectory) continue;
+        if (rule.base && !relativePath.startsWith(`${rule.base}/`)) continue;
+
+        const local = rule.base ? relativePath.slice(rule.base.length + 1) : relativePath;
+        const subject = rule.anchored ? local : local.split('/').pop();
+        if (rule.re.test(subject)) decision = rule;
+    }
+    return decision;
+}
+
+/**
+ * Why a file looks minified or generated, or null when it looks hand-written.
+ * Returns { reason: 'minified' | 'generated' | 'source-map', detail }.
+ */
+function detectGenerated(source, fileName = '') {
+    if (/[.-]min\.[cm]?js$/i.test(fileName)) return { reason: 'minified', detail: 'file name' };
+
+    const header = source.slice(0, HEADER_LENGTH);
+    if (/@generated\b/.test(header)) return { reason: 'generated', detail: '@generated header' };
+    if (/\b(?:auto-?generated|generated by)\b[\s\S]*?\bdo not edit\b/i.test(header)) return { reason: 'generated', detail: '"do not edit" header' };
+
+    if (/^\s*\/[/*][#@]\s*sourceMappingURL=/m.test(source)) return { reason: 'source-map', detail: 'sourceMappingURL comment' };
+
+    const longChars = source.split('\n')
+        .filter(line => line.length >= MINIFIED_LINE_LENGTH)
+        .reduce((acc, line) => acc + line.length, 0);
+    if (source.length > 0 && longChars / source.length > MINIFIED_SHARE) {
+        return { reason: 'minified', detail: `lines of ${MINIFIED_LINE_LENGTH}+ characters` };
+    }
+    return null;
+}
+
+// Include / exclude globs as given in a request: an array, or one comma-separated string
+function parseGlobList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    const list = Array.isArray(value) ? value : String(value).split(/,(?![^{]*\})/);
+    return list.map(glob => String(glob).trim()).filter(Boolean);
+}
+
+/**
+ * Whether a file passes the include / exclude globs; returns the skip reason otherwise.
+ * An empty include list includes everything.
+ */
+function checkGlobs(relativePath, { include = [], exclude = [] } = {}) {
+    if (exclude.length > 0 && matchesGlob(relativePath, exclude)) return 'exclude';
+    if (include.length > 0 && !matchesGlob(relativePath, include)) return 'include';
+    return null;
+}
+
+module.exports = {
+    IGNORE_FILE_NAME,
+    IGNORED_DIRECTORIES,
+    isIgnoredDirectory,
+    parseIgnoreFile,
+    matchIgnoreRules,
+    detectGenerated,
+    parseGlobList,
+    checkGlobs
+};
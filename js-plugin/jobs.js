@@ -0,0 +1,225 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { EventEmitter } = require('node:events');
+
+const FINISHED_STATES = new Set(['completed', 'failed', 'cancelled']);
+
+// Finished jobs are dropped after this long (ms)
+const DEFAULT_JOB_TTL = 60 * 60 * 1000;
+
+// Per-file results in a page, without the token stream kept around for clone detection
+function publicResult(result) {
+    if (!result.metrics?.tokenStream) return result;
+    const { tokenStream, ...metrics } = result.metrics;
+    return { ...result, metrics };
+}
+
+/**
+ * Store for asynchronous analysis jobs. Jobs live in memory; with a `directory`, finished
+ * jobs are written there (job.json, results.jsonl, project.json) and read back on demand,
+ * so results survive restarts and don't stay in memory.
+ */
+function createJobStore({ directory = null, ttl = DEFAULT_JOB_TTL } = {}) {
+    const jobs = new Map();
+
+    if (directory) fs.mkdirSync(directory, { recursive: true });
+
+    function jobDir(id) {
+        return path.join(directory, id);
+    }
+
+    function writeJobFile(job) {
+        if (!directory || job.removed) return;
+        fs.mkdirSync(jobDir(job.id), { recursive: true });
+        fs.writeFileSync(path.join(jobDir(job.id), 'job.json'), JSON.stringify(status(job)));
+    }
+
+    // Jobs written by an earlier process; one that was still running there is reported as failed
+    function loadJobFile(id) {
+        if (!directory || !/^[0-9a-f-]+$/.test(id)) return null;
+        const file = path.join(jobDir(id), 'job.json');
+        if (!fs.existsSync(file)) return null;
+
+        const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const job = { ...saved, events: new EventEmitter(), results: null, project: null, onDisk: true };
+        if (!FINISHED_STATES.has(job.status)) {
+            job.status = 'failed';
+            job.error = 'Server stopped before the job finished';
+        }
+        jobs.set(id, job);
+        return job;
+    }
+
+    function status(job) {
+        return {
+            id: job.id,
+            status: job.status,
+            rootFolder: job.rootFolder,
+            filesDone: job.filesDone,
+            totalFiles: job.totalFiles,
+            currentFile: job.currentFile,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            ...(job.error ? { error: job.error } : {}),
+            ...(job.passed !== undefined ? { passed: job.passed, violationCount: job.violationCount } : {})
+        };
+    }
+
+    function emit(job, event, data = status(job)) {
+        job.events.emit('event', event, data);
+    }
+
+    // Drop finished jobs older than the TTL
+    function sweep(now = Date.now()) {
+        for (const job of jobs.values()) {
+            if (job.finishedAt && now - Date.parse(job.finishedAt) > ttl) remove(job.id);
+        }
+    }
+
+    function create(fields = {}) {
+        sweep();
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'queued',
+            rootFolder: null,
+            filesDone: 0,
+            totalFiles: null,
+            currentFile: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            ...fields,
+            results: [],
+            project: null,
+            events: new EventEmitter()
+        };
+        jobs.set(job.id, job);
+        writeJobFile(job);
+        return job;
+    }
+
+    function get(id) {
+        return jobs.get(id) ?? loadJobFile(id);
+    }
+
+    function start(job, totalFiles) {
+        job.status = 'running';
+        job.totalFiles = totalFiles;
+        job.startedAt = new Date().toISOString();
+        writeJobFile(job);
+        emit(job, 'status');
+    }
+
+    function addResult(job, result) {
+        job.results.push(result);
+        job.filesDone += 1;
+        job.currentFile = result.fileName;
+        emit(job, 'progress', { filesDone: job.filesDone, totalFiles: job.totalFiles, file: result.fileName });
+    }
+
+    function finish(job, state, fields = {}) {
+        Object.assign(job, fields, { status: state, currentFile: null, finishedAt: new Date().toISOString() });
+        if (directory && state === 'completed' && !job.removed) {
+            const dir = jobDir(job.id);
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(path.join(dir, 'results.jsonl'), job.results.map(r => JSON.stringify(publicResult(r))).join('\n'));
+            fs.writeFileSync(path.join(dir, 'project.json'), JSON.stringify(job.project));
+            job.results = null;
+            job.project = null;
+            job.onDisk = true;
+        }
+        writeJobFile(job);
+        emit(job, 'status');
+        emit(job, 'end');
+    }
+
+    function complete(job, { results, ...project }) {
+        job.results = results;
+        job.project = project;
+        finish(job, 'completed', { passed: project.passed, violationCount: project.violations.length });
+    }
+
+    function fail(job, error) {
+        finish(job, 'failed', { error: error.message ?? String(error) });
+    }
+
+    // Ask a queued or running job to stop before its next file; false when it already finished
+    function cancel(job) {
+        if (FINISHED_STATES.has(job.status)) return false;
+        job.cancelRequested = true;
+        return true;
+    }
+
+    function isCancelled(job) {
+        return job.cancelRequested === true;
+    }
+
+    /**
+     * One page of per-file results. While the job runs this is what has been analyzed so
+     * far; call graph recursion and the project rollups are only final once it completes.
+     */
+    function results(job, offset = 0, limit = 50) {
+        let page;
+        let total;
+        if (job.onDisk) {
+            const file = path.join(jobDir(job.id), 'results.jsonl');
+            const lines = fs.existsSync(file) ? fs.readFileSync(file, 'utf8').split('\n').filter(Boolean) : [];
+            total = lines.length;
+            page = lines.slice(offset, offset + limit).map(line => JSON.parse(line));
+        } else {
+            total = job.results?.length ?? 0;
+            page = (job.results ?? []).slice(offset, offset + limit).map(publicResult);
+        }
+
+        return {
+            id: job.id,
+            status: job.status,
+            complete: job.status === 'completed',
+            offset,
+            limit,
+            total,
+            results: page
+        };
+    }
+
+    // Project-wide part of a completed job: call graph, dependency graph, duplication, verdict
+    function project(job) {
+        if (job.status !== 'completed') return null;
+        if (job.onDisk) return JSON.parse(fs.readFileSync(path.join(jobDir(job.id), 'project.json'), 'utf8'));
+        return job.project;
+    }
+
+    function remove(id) {
+        const job = jobs.get(id);
+        if (job) {
+            cancel(job);
+            job.removed = true;
+        }
+        jobs.delete(id);
+        if (directory && /^[0-9a-f-]+$/.test(id)) fs.rmSync(jobDir(id), { recursive: true, force: true });
+    }
+
+    return {
+        create,
+        get,
+        status,
+        start,
+        addResult,
+        complete,
+        fail,
+        cancel,
+        isCancelled,
+        finish,
+        results,
+        project,
+        remove,
+        sweep
+    };
+}
+
+module.exports = {
+    FINISHED_STATES,
+    createJobStore
+};
@@ -0,0 +1,176 @@
+// Unified diffs (git diff, diff -u): parsing, applying, and which line ranges a hunk touches
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+// Path from a ---/+++ line: no timestamp, null for /dev/null
+function headerPath(text) {
+    const clean = text.split('\t')[0].trim().replace(/^"(.*)"$/, '$1');
+    return clean === '/dev/null' ? null : clean;
+}
+
+// git's a/ and b/ prefixes, when both sides have them (patch -p1)
+function stripPrefixes(file) {
+    const prefixed = [file.oldPath ?? 'a/', file.newPath ?? 'b/'];
+    if (prefixed[0].startsWith('a/') && prefixed[1].startsWith('b/')) {
+        if (file.oldPath) file.oldPath = file.oldPath.slice(2);
+        if (file.newPath) file.newPath = file.newPath.slice(2);
+    }
+    return file;
+}
+
+/**
+ * Files changed by a unified diff: [{ oldPath, newPath, created, deleted, binary, hunks }].
+ * created / deleted files have a null oldPath / newPath. Hunks are
+ * { oldStart, oldLines, newStart, newLines, lines } with lines still carrying their ' ', '-'
+ * or '+' marker; a line missing its final newline is followed by '\'.
+ */
+function parsePatch(text) {
+    const files = [];
+    const lines = String(text ?? '').split(/\r?\n/);
+    let file = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (line.startsWith('diff --git ')) {
+            const [, oldPath = null, newPath = null] = /^diff --git (\S+) (\S+)$/.exec(line) ?? [];
+            file = { oldPath, newPath, created: false, deleted: false, binary: false, hunks: [] };
+            files.push(file);
+        } else if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+            // Plain diff -u output has no "diff --git" line; a new ---/+++ pair starts the next file
+            if (!file || file.hunks.length > 0 || file.headers) {
+                file = { oldPath: null, newPath: null, created: false, deleted: false, binary: false, hunks: [] };
+                files.push(file);
+            }
+            file.headers = true;
+            file.oldPath = headerPath(line.slice(4));
+            file.newPath = headerPath(lines[i + 1].slice(4));
+            if (file.oldPath === null) file.created = true;
+            if (file.newPath === null) file.deleted = true;
+            i++;
+        } else if (!file) {
+            continue;
+        } else if (line.startsWith('new file mode')) {
+            file.created = true;
+        } else if (line.startsWith('deleted file mode')) {
+            file.deleted = true;
+        } else if (line.startsWith('rename from ')) {
+            file.oldPath = `a/${line.slice('rename from '.length)}`;
+        } else if (line.startsWith('rename to ')) {
+            file.newPath = `b/${line.slice('rename to '.length)}`;
+        } else if (line.startsWith('Binary files ') || line === 'GIT binary patch') {
+            file.binary = true;
+        } else if (HUNK_HEADER.test(line)) {
+            const m = HUNK_HEADER.exec(line);
+            const hunk = {
+                oldStart: parseInt(m[1], 10),
+                oldLines: m[2] === undefined ? 1 : parseInt(m[2], 10),
+                newStart: parseInt(m[3], 10),
+                newLines: m[4] === undefined ? 1 : parseInt(m[4], 10),
+                lines: []
+            };
+            // Read exactly the hunk's lines, so content that looks like a header is not mistaken for one
+            let oldLeft = hunk.oldLines;
+            let newLeft = hunk.newLines;
+            while ((oldLeft > 0 || newLeft > 0 || lines[i + 1]?.startsWith('\\')) && i + 1 < lines.length) {
+                const body = lines[++i];
+                const marker = body === '' ? ' ' : body[0]; // Some tools drop the space of empty context lines
+                if (marker === '\\') {
+                    // "\ No newline at end of file" is about the line before it
+                    if (hunk.lines.length === 0 || hunk.lines[hunk.lines.length - 1] === '\\') {
+                        throw new Error(`Malformed hunk in ${file.newPath ?? file.oldPath}: "${body}" does not follow a line`);
+                    }
+                    hunk.lines.push('\\');
+                    continue;
+                }
+                if (marker !== ' ' && marker !== '-' && marker !== '+') throw new Error(`Malformed hunk in ${file.newPath ?? file.oldPath}: "${body}"`);
+                if (marker !== '+') oldLeft--;
+                if (marker !== '-') newLeft--;
+                hunk.lines.push(body === '' ? ' ' : body);
+            }
+            if (oldLeft !== 0 || newLeft !== 0) throw new Error(`Truncated hunk in ${file.newPath ?? file.oldPath}`);
+            file.hunks.push(hunk);
+        }
+    }
+
+    return files.map(f => {
+        delete f.headers;
+        return stripPrefixes(f);
+    });
+}
+
+// Patch lines never keep a '\r', so CRLF sources are compared without it
+function sameLines(lines, at, expected) {
+    return expected.every((line, k) => lines[at + k]?.replace(/\r$/, '') === line);
+}
+
+/**
+ * Apply one file's hunks to its old content. A hunk may have moved by some lines (as with
+ * `patch`), but its context must match exactly. Returns { content, hunks } where hunks carry
+ * the line numbers where they actually applied; throws when a hunk does not apply.
+ */
+function applyFilePatch(source, file) {
+    const endsWithNewline = source === '' || source.endsWith('\n');
+    const lines = source === '' ? [] : source.replace(/\n$/, '').split('\n');
+    let newEndsWithoutNewline = null; // null: same as the old content
+    let offset = 0;
+    const applied = [];
+
+    for (const hunk of file.hunks) {
+        const oldText = [];
+        const newText = [];
+        hunk.lines.forEach((line, k) => {
+            // "\ No newline at end of file" after a removed line is about the old side only
+            if (line === '\\') {
+                if (k === 0) return; // parsePatch rejects these; hunks built elsewhere may have them
+                if (hunk.lines[k - 1][0] !== '-') newEndsWithoutNewline = true;
+                else newEndsWithoutNewline ??= false;
+                return;
+            }
+            if (line[0] !== '+') oldText.push(line.slice(1));
+            if (line[0] !== '-') newText.push(line.slice(1));
+        });
+
+        // Pure insertions are placed after line oldStart
+        const expected = (hunk.oldLines === 0 ? hunk.oldStart : hunk.oldStart - 1) + offset;
+        let at = -1;
+        for (let distance = 0; distance <= lines.length; distance++) {
+            if (expected - distance >= 0 && sameLines(lines, expected - distance, oldText)) { at = expected - distance; break; }
+            if (expected + distance <= lines.length && sameLines(lines, expected + distance, oldText)) { at = expected + distance; break; }
+        }
+        if (at === -1 || at + oldText.length > lines.length) {
+            throw new Error(`Hunk @@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@ does not apply to ${file.oldPath ?? file.newPath}`);
+        }
+
+        lines.splice(at, oldText.length, ...newText);
+        applied.push({
+            oldStart: hunk.oldLines === 0 ? at - offset : at - offset + 1,
+            oldLines: hunk.oldLines,
+            newStart: hunk.newLines === 0 ? at : at + 1,
+            newLines: hunk.newLines
+        });
+        offset += newText.length - oldText.length;
+    }
+
+    const content = lines.join('\n');
+    const withoutNewline = newEndsWithoutNewline ?? !endsWithNewline;
+    return { content: lines.length > 0 && !withoutNewline ? `${content}\n` : content, hunks: applied };
+}
+
+/**
+ * Whether a hunk changes lines [from, to] on its 'old' or 'new' side. A side with no lines
+ * (pure insertion or deletion) sits after its start line, and touches the range if code of the
+ * range follows it.
+ */
+function hunkTouches(hunk, side, from, to) {
+    const start = side === 'old' ? hunk.oldStart : hunk.newStart;
+    const count = side === 'old' ? hunk.oldLines : hunk.newLines;
+    if (count === 0) return start >= from && start < to;
+    return start <= to && start + count - 1 >= from;
+}
+
+module.exports = {
+    parsePatch,
+    applyFilePatch,
+    hunkTouches
+};
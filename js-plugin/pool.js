@@ -0,0 +1,120 @@
+const os = require('node:os');
+const { Worker } = require('node:worker_threads');
+
+const DEFAULT_POOL_SIZE = Math.max(1, os.availableParallelism() - 1);
+const DEFAULT_TASK_TIMEOUT = 30 * 1000;
+const DEFAULT_MAX_MEMORY_MB = 512;
+
+/**
+ * Fixed-size pool of worker threads running `workerFile`. The worker posts { ready: true }
+ * once loaded, then answers each { id, task } message with { id, result } or { id, error }.
+ *
+ * A task that runs past `timeout` ms, hits the worker's heap limit (`maxMemoryMb`) or
+ * crashes its worker is rejected on its own; the worker is replaced and the other tasks
+ * carry on.
+ */
+function createWorkerPool(workerFile, { size = DEFAULT_POOL_SIZE, timeout = DEFAULT_TASK_TIMEOUT, maxMemoryMb = DEFAULT_MAX_MEMORY_MB } = {}) {
+    const slots = [];
+    const queue = [];
+    let nextId = 0;
+    let destroyed = false;
+
+    function spawn() {
+        const slot = {
+            worker: new Worker(workerFile, { resourceLimits: { maxOldGenerationSizeMb: maxMemoryMb } }),
+            ready: false,
+            job: null,
+            timer: null,
+            retired: false
+        };
+        slot.worker.on('message', (message) => {
+            if (message.ready) {
+                slot.ready = true;
+                dispatch();
+                return;
+            }
+            if (!slot.job || message.id !== slot.job.id) return;
+            if (message.error) settle(slot, new Error(message.error));
+            else settle(slot, null, message.result);
+        });
+        slot.worker.on('error', (error) => retire(slot, error));
+        slot.worker.on('exit', (code) => retire(slot, new Error(`Worker exited with code ${code}`)));
+        slots.push(slot);
+        return slot;
+    }
+
+    function settle(slot, error, result) {
+        clearTimeout(slot.timer);
+        const { resolve, reject } = slot.job;
+        slot.job = null;
+        if (error) reject(error);
+        else resolve(result);
+        dispatch();
+    }
+
+    // Drop a worker that failed or timed out; its task fails, the rest of the queue goes on
+    function retire(slot, error) {
+        if (slot.retired) return;
+        slot.retired = true;
+        clearTimeout(slot.timer);
+        slots.splice(slots.indexOf(slot), 1);
+        slot.worker.terminate();
+
+        if (slot.job) {
+            const { reject } = slot.job;
+            slot.job = null;
+            reject(error);
+        }
+        // A worker that cannot even load would fail the same way on every respawn
+        if (!slot.ready) {
+            for (const job of queue.splice(0)) job.reject(error);
+        }
+        dispatch();
+    }
+
+    // Hand queued tasks to idle workers; the timeout only starts once a worker has loaded
+    function dispatch() {
+        while (!destroyed && slots.length < size && queue.length > slots.filter(s => !s.job).length) spawn();
+
+        while (!destroyed && queue.length > 0) {
+            const slot = slots.find(s => s.ready && !s.job);
+            if (!slot) return;
+
+            const job = queue.shift();
+            slot.job = job;
+            slot.timer = setTimeout(() => retire(slot, new Error(`Timed out after ${timeout} ms`)), timeout);
+            slot.worker.postMessage({ id: job.id, task: job.task });
+        }
+    }
+
+    function run(task) {
+        if (destroyed) return Promise.reject(new Error('Worker pool has been destroyed'));
+        return new Promise((resolve, reject) => {
+            queue.push({ id: nextId++, task, resolve, reject });
+            dispatch();
+        });
+    }
+
+    async function destroy() {
+        destroyed = true;
+        for (const job of queue.splice(0)) job.reject(new Error('Worker pool has been destroyed'));
+        await Promise.all([...slots].map(slot => {
+            slot.retired = true;
+            if (slot.job) slot.job.reject(new Error('Worker pool has been destroyed'));
+            clearTimeout(slot.timer);
+            return slot.worker.terminate();
+        }));
+        slots.length = 0;
+    }
+
+    return {
+        size,
+        run,
+        destroy
+    };
+}
+
+module.exports = {
+    DEFAULT_POOL_SIZE,
+    createWorkerPool
+};
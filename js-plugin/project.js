@@ -0,0 +1,204 @@
+// Project analysis on the current thread: finding a project's files, its quality gate config and
+// the cross-file steps. Used by the server and the CLI, so it must not have side effects.
+const fs = require('node:fs');
+const path = require('node:path');
+const { summarize, findCycleCallSite, addRecursionIncrement, isCodeFile, relativeFileName, analyzeFileAt } = require('./analyzer');
+const { buildProjectCallGraph } = require('./callgraph');
+const { computeInheritanceDepth } = require('./classes');
+const { buildDependencyGraph, toDot, toMermaid } = require('./depgraph');
+const { detectClones } = require('./clones');
+const { CONFIG_FILE_NAME, resolveConfig, evaluateFile, evaluateProject } = require('./gate');
+const { BASELINE_FILE_NAME, parseBaseline, applyBaseline } = require('./baseline');
+const { IGNORE_FILE_NAME, isIgnoredDirectory, parseIgnoreFile, matchIgnoreRules, detectGenerated, checkGlobs } = require('./ignore');
+
+// Link per-file call graphs across imports; functions in cross-file cycles get the recursion increment
+function linkProjectCallGraph(results) {
+    const analyzed = results.filter(r => r.metrics);
+    const callGraph = buildProjectCallGraph(analyzed.map(r => ({ fileName: r.fileName, callGraph: r.metrics.callGraph })));
+
+    const byId = new Map();
+    for (const r of analyzed) {
+        for (const fn of r.metrics.functions) byId.set(`${r.fileName}#${fn.id}`, { fn, metrics: r.metrics });
+    }
+
+    const touched = new Set();
+    for (const cycle of callGraph.cycles) {
+        for (const id of cycle) {
+            const { fn, metrics } = byId.get(id);
+            if (fn.recursive) continue;
+            addRecursionIncrement(fn, findCycleCallSite(callGraph.edges, id, cycle));
+            touched.add(metrics);
+        }
+    }
+    for (const metrics of touched) {
+        metrics.cognitive_complexity = summarize(metrics.functions.map(f => f.cognitive_complexity));
+    }
+
+    return callGraph;
+}
+
+// Clone detection over the token streams of every analyzed file; the streams are dropped afterwards
+function detectProjectClones(results, options = {}) {
+    const analyzed = results.filter(r => r.metrics?.tokenStream);
+    const duplication = detectClones(
+        analyzed.map(r => ({ fileName: r.fileName, tokenStream: r.metrics.tokenStream })),
+        { minTokens: options.minCloneTokens, minLines: options.minCloneLines }
+    );
+    for (const r of analyzed) delete r.metrics.tokenStream;
+    return duplication;
+}
+
+/**
+ * Code files under rootPath, leaving out dependency and build folders, anything matched by a
+ * .gitignore or .complexityignore (in any directory), files outside the include / exclude
+ * globs and, unless keepGenerated is set, files that look minified or generated.
+ * onSkip(fullPath, reason, detail) is called for every file or folder left out.
+ */
+function walkCodeFiles(rootPath, {
+    include = [],
+    exclude = [],
+    keepGenerated = false,
+    onSkip = (fullPath, reason) => console.log(`Skipping ${fullPath} (${reason})`)
+} = {}) {
+    const files = [];
+
+    (function processDirectory(directory, inheritedRules) {
+        const rules = [...inheritedRules];
+        const base = relativeFileName(directory, rootPath);
+        for (const name of ['.gitignore', IGNORE_FILE_NAME]) {
+            const ignoreFile = path.join(directory, name);
+            if (fs.existsSync(ignoreFile)) rules.push(...parseIgnoreFile(fs.readFileSync(ignoreFile, 'utf8'), base, name));
+        }
+
+        fs.readdirSync(directory).forEach(file => {
+            const fullPath = path.join(directory, file);
+            const stat = fs.statSync(fullPath);
+            const relativePath = relativeFileName(fullPath, rootPath);
+
+            if (stat.isDirectory() && isIgnoredDirectory(file)) {
+                onSkip(fullPath, 'directory');
+                return;
+            }
+            if (!stat.isDirectory() && !isCodeFile(file)) return;
+
+            const rule = matchIgnoreRules(rules, relativePath, stat.isDirectory());
+            if (rule && !rule.negated) {
+                onSkip(fullPath, rule.source === IGNORE_FILE_NAME ? 'ignore-file' : 'gitignore', rule.pattern);
+                return;
+            }
+            if (stat.isDirectory()) {
+                if (checkGlobs(relativePath, { exclude })) {
+                    onSkip(fullPath, 'exclude');
+                    return;
+                }
+                processDirectory(fullPath, rules);
+                return;
+            }
+
+            const globReason = checkGlobs(relativePath, { include, exclude });
+            if (globReason) {
+                onSkip(fullPath, globReason);
+                return;
+            }
+            const generated = keepGenerated ? null : detectGenerated(fs.readFileSync(fullPath, 'utf8'), file);
+            if (generated) {
+                onSkip(fullPath, generated.reason, generated.detail);
+                return;
+            }
+            files.push(fullPath);
+        });
+    })(rootPath, []);
+
+    return files;
+}
+
+// Files walkCodeFiles picks in a project, and the ones it left out: [{ fileName, reason, detail }]
+function projectFiles(rootPath, options = {}) {
+    const skipped = [];
+    const files = walkCodeFiles(rootPath, {
+        include: options.include,
+        exclude: options.exclude,
+        keepGenerated: options.keepGenerated,
+        onSkip: (fullPath, reason, detail) => skipped.push({
+            fileName: relativeFileName(fullPath, rootPath),
+            reason,
+            ...(detail !== undefined && { detail })
+        })
+    });
+    return { files, skipped };
+}
+
+// Quality gate config for a project: .complexityrc.json in its root, then any extra sources
+function loadProjectConfig(rootPath, ...extra) {
+    const rcPath = path.join(rootPath, CONFIG_FILE_NAME);
+    const rcFile = fs.existsSync(rcPath) ? fs.readFileSync(rcPath, 'utf8') : null;
+    return resolveConfig(rcFile, ...extra);
+}
+
+/**
+ * Analyze a set of files as one project: per-file metrics plus the cross-file call graph,
+ * inheritance depth, dependency graph, duplication and quality gate verdict.
+ * File names in the results are relative to rootPath.
+ */
+function analyzeFiles(filePaths, rootPath, options = {}, gateConfig = resolveConfig()) {
+    const results = filePaths.map(fullPath => analyzeFileAt(fullPath, rootPath, { ...options, tokenStream: true }));
+    return linkProject(results, options, gateConfig);
+}
+
+// Baseline for a project: the request's own if given, else .complexity-baseline.json in its root, else null
+function loadProjectBaseline(rootPath, override) {
+    if (override !== undefined && override !== null && override !== '') return parseBaseline(override);
+    const baselinePath = path.join(rootPath, BASELINE_FILE_NAME);
+    return fs.existsSync(baselinePath) ? parseBaseline(fs.readFileSync(baselinePath, 'utf8')) : null;
+}
+
+// Project-wide steps over per-file results analyzed with the tokenStream option.
+// With a baseline, only violations that are new or worse than the baseline are reported.
+function linkProject(results, options = {}, gateConfig = resolveConfig(), baseline = null) {
+    const analyzed = results.filter(r => r.metrics);
+
+    const callGraph = linkProjectCallGraph(results);
+    // Depth of inheritance across the whole project
+    computeInheritanceDepth(analyzed.map(r => ({ fileName: r.fileName, classes: r.metrics.classes })));
+
+    const dependencyGraph = buildDependencyGraph(analyzed.map(r => ({ fileName: r.fileName, imports: r.metrics.imports })));
+    dependencyGraph.dot = toDot(dependencyGraph);
+    dependencyGraph.mermaid = toMermaid(dependencyGraph);
+
+    const duplication = detectProjectClones(results, options);
+
+    let violations = [
+        ...analyzed.flatMap(r => evaluateFile(r.fileName, r.metrics, gateConfig)),
+        ...evaluateProject({ duplication, dependencyGraph }, gateConfig)
+    ];
+    let baselineSummary;
+    if (baseline) {
+        ({ violations, summary: baselineSummary } = applyBaseline(violations, results, baseline));
+    }
+
+    return {
+        totalFiles: results.length,
+        results,
+        callGraph,
+        dependencyGraph,
+        duplication,
+        passed: violations.length === 0,
+        violations,
+        ...(baselineSummary ? { baseline: baselineSummary } : {})
+    };
+}
+
+function analyzeProject(rootPath, options = {}, gateConfig = loadProjectConfig(rootPath)) {
+    const { files, skipped } = projectFiles(rootPath, options);
+    return { ...analyzeFiles(files, rootPath, options, gateConfig), skipped };
+}
+
+module.exports = {
+    walkCodeFiles,
+    projectFiles,
+    loadProjectConfig,
+    loadProjectBaseline,
+    analyzeFiles,
+    linkProject,
+    analyzeProject
+};
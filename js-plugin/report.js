@@ -0,0 +1,284 @@
+// Cognitive complexity buckets for the histogram: [label, min, max]
+const HISTOGRAM_BUCKETS = [
+    ['0', 0, 0],
+    ['1-5', 1, 5],
+    ['6-10', 6, 10],
+    ['11-15', 11, 15],
+    ['16-25', 16, 25],
+    ['26-50', 26, 50],
+    ['51+', 51, Infinity]
+];
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// JSON that is safe to embed inside a <script> element
+function embedJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c').replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+}
+
+// POST /report renders caller-supplied JSON: metric fields are used as numbers only, so they can't carry markup
+function numberOf(value) {
+    if (value === null || value === undefined) return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function functionRows(results) {
+    return results.filter(r => r.metrics).flatMap(r => r.metrics.functions.map(f => ({
+        file: r.fileName,
+        name: f.longName ?? f.name,
+        cognitive: numberOf(f.cognitive_complexity) ?? 0,
+        cyclomatic: numberOf(f.cyclomatic_complexity) ?? 0,
+        nloc: numberOf(f.NLOC),
+        params: numberOf(f.parameterCount),
+        nesting: numberOf(f.maxNestingDepth),
+        mi: numberOf(f.maintainabilityIndex),
+        lineStart: numberOf(f.lineStart),
+        lineEnd: numberOf(f.lineEnd),
+        suppressed: f.suppressed ? (f.suppression.reason ?? f.suppression.kind) : null
+    })));
+}
+
+// Directory tree with metrics rolled up from files to every ancestor directory
+function buildTree(results) {
+    const root = { name: '/', dirs: new Map(), files: [], totals: emptyTotals() };
+
+    for (const r of results) {
+        if (!r.metrics) continue;
+        const parts = r.fileName.split('/');
+        const fileTotals = {
+            files: 1,
+            functions: r.metrics.functions.length,
+            nloc: numberOf(r.metrics.NLOC) ?? 0,
+            cognitive: numberOf(r.metrics.cognitive_complexity?.sum) ?? 0,
+            cyclomatic: numberOf(r.metrics.cyclomatic_complexity?.sum) ?? 0,
+            maxCognitive: numberOf(r.metrics.cognitive_complexity?.max) ?? 0
+        };
+
+        let node = root;
+        addTotals(node.totals, fileTotals);
+        for (const dir of parts.slice(0, -1)) {
+            if (!node.dirs.has(dir)) node.dirs.set(dir, { name: dir, dirs: new Map(), files: [], totals: emptyTotals() });
+            node = node.dirs.get(dir);
+            addTotals(node.totals, fileTotals);
+        }
+        node.files.push({ name: parts[parts.length - 1], path: r.fileName, totals: fileTotals });
+    }
+
+    return root;
+}
+
+function emptyTotals() {
+    return { files: 0, functions: 0, nloc: 0, cognitive: 0, cyclomatic: 0, maxCognitive: 0 };
+}
+
+function addTotals(into, from) {
+    into.files += from.files;
+    into.functions += from.functions;
+    into.nloc += from.nloc;
+    into.cognitive += from.cognitive;
+    into.cyclomatic += from.cyclomatic;
+    into.maxCognitive = Math.max(into.maxCognitive, from.maxCognitive);
+}
+
+function totalsCells(t) {
+    return `<span class="m">${t.files} files</span><span class="m">${t.functions} fn</span>` +
+        `<span class="m">${t.nloc} NLOC</span><span class="m">CogC ${t.cognitive} (max ${t.maxCognitive})</span>` +
+        `<span class="m">CycC ${t.cyclomatic}</span>`;
+}
+
+function renderTree(node, depth = 0) {
+    const dirs = [...node.dirs.values()].sort((a, b) => a.name.localeCompare(b.name));
+    const files = [...node.files].sort((a, b) => a.name.localeCompare(b.name));
+    const children = [
+        ...dirs.map(d => renderTree(d, depth + 1)),
+        ...files.map(f => `<div class="file" data-file="${escapeHtml(f.path)}"><span class="n">${escapeHtml(f.name)}</span>` +
+            `<span class="m">${f.totals.functions} fn</span><span class="m">${f.totals.nloc} NLOC</span>` +
+            `<span class="m">CogC ${f.totals.cognitive} (max ${f.totals.maxCognitive})</span></div>`)
+    ].join('\n');
+
+    return `<details${depth < 2 ? ' open' : ''}><summary><span class="n">${escapeHtml(node.name)}</span>${totalsCells(node.totals)}</summary>\n${children}\n</details>`;
+}
+
+function renderHistogram(rows) {
+    const counts = HISTOGRAM_BUCKETS.map(([label, min, max]) => ({
+        label,
+        count: rows.filter(r => r.cognitive >= min && r.cognitive <= max).length
+    }));
+    const highest = Math.max(1, ...counts.map(c => c.count));
+
+    return counts.map(({ label, count }) =>
+        `<div class="bar"><span class="bl">${label}</span><span class="bf" style="width:${(count * 100 / highest).toFixed(1)}%"></span><span class="bc">${count}</span></div>`
+    ).join('\n');
+}
+
+const STYLE = `
+body { font: 14px/1.4 system-ui, sans-serif; margin: 0 24px 48px; color: #222; }
+h1 { font-size: 22px; } h2 { font-size: 17px; margin-top: 32px; }
+.summary span { display: inline-block; margin-right: 20px; }
+.passed { color: #1a7f37; font-weight: 600; } .failed { color: #cf222e; font-weight: 600; }
+details { margin-left: 16px; } summary { cursor: pointer; }
+.file { margin-left: 32px; cursor: pointer; } .file:hover .n { text-decoration: underline; }
+.n { display: inline-block; min-width: 220px; font-family: ui-monospace, monospace; }
+.m { display: inline-block; min-width: 110px; color: #555; font-size: 12px; }
+.bar { display: flex; align-items: center; margin: 2px 0; } .bl { width: 60px; }
+.bf { height: 14px; background: #4a7bd0; margin-right: 6px; min-width: 1px; } .bc { color: #555; }
+table { border-collapse: collapse; width: 100%; font-size: 13px; }
+th, td { padding: 3px 8px; border-bottom: 1px solid #eee; text-align: right; }
+th { cursor: pointer; background: #f6f8fa; position: sticky; top: 0; user-select: none; }
+th.sorted::after { content: attr(data-dir); }
+td.t, th.t { text-align: left; font-family: ui-monospace, monospace; }
+tbody tr { cursor: pointer; } tbody tr:hover { background: #f0f4ff; }
+.hot { color: #cf222e; font-weight: 600; }
+.sup { color: #888; font-style: italic; }
+#source { border: 1px solid #ddd; max-height: 520px; overflow: auto; font: 12px/1.5 ui-monospace, monospace; }
+#source div { white-space: pre; } #source .ln { display: inline-block; width: 48px; color: #999; text-align: right; margin-right: 12px; }
+#source .hl { background: #fff3bf; }
+.scroll { max-height: 520px; overflow: auto; }
+`;
+
+// Client-side behaviour: sortable table, filter, and the source viewer
+const SCRIPT = `
+const data = JSON.parse(document.getElementById('report-data').textContent);
+const tbody = document.querySelector('#functions tbody');
+const columns = ['cognitive', 'cyclomatic', 'nloc', 'params', 'nesting', 'mi', 'name', 'file'];
+let sortKey = 'cognitive', sortDesc = true;
+
+function esc(s) { return String(s ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]); }
+
+function renderRows() {
+    const filter = document.getElementById('filter').value.toLowerCase();
+    const rows = data.functions
+        .filter(r => !filter || r.name.toLowerCase().includes(filter) || r.file.toLowerCase().includes(filter))
+        .sort((a, b) => {
+            const x = a[sortKey], y = b[sortKey];
+            const cmp = typeof x === 'number' ? x - y : String(x).localeCompare(String(y));
+            return sortDesc ? -cmp : cmp;
+        });
+    tbody.innerHTML = rows.map(r => '<tr data-file="' + esc(r.file) + '" data-start="' + esc(r.lineStart) + '" data-end="' + esc(r.lineEnd) + '">' +
+        columns.map(c => {
+            const cls = (c === 'name' || c === 'file' ? 't' : '') + (c === 'cognitive' && r.cognitive > data.hotThreshold && r.suppressed === null ? ' hot' : '');
+            if (c === 'name' && r.suppressed !== null) {
+                return '<td class="' + cls + '">' + esc(r.name) + ' <span class="sup" title="' + esc(r.suppressed) + '">(suppressed)</span></td>';
+            }
+            return '<td class="' + cls + '">' + esc(c === 'file' ? r.file + ':' + r.lineStart : r[c]) + '</td>';
+        }).join('') + '</tr>').join('');
+    document.querySelectorAll('#functions th').forEach(th => {
+        th.classList.toggle('sorted', th.dataset.key === sortKey);
+        th.dataset.dir = sortDesc ? ' \\u25BC' : ' \\u25B2';
+    });
+}
+
+function showSource(file, start, end) {
+    const box = document.getElementById('source');
+    const code = data.sources[file];
+    document.getElementById('source-title').textContent = file + (start ? ' : ' + start + '-' + end : '');
+    if (code === undefined) {
+        box.innerHTML = '<div>Source not included in this report.</div>';
+        return;
+    }
+    box.innerHTML = code.split('\\n').map((line, i) => {
+        const n = i + 1;
+        return '<div id="L' + n + '"' + (start && n >= start && n <= end ? ' class="hl"' : '') + '><span class="ln">' + n + '</span>' + esc(line) + '</div>';
+    }).join('');
+    const first = start && document.getElementById('L' + start);
+    if (first) box.scrollTop = first.offsetTop - box.offsetTop - 40;
+    document.getElementById('source-section').scrollIntoView({ behavior: 'smooth' });
+}
+
+document.querySelectorAll('#functions th').forEach(th => th.addEventListener('click', () => {
+    if (sortKey === th.dataset.key) sortDesc = !sortDesc;
+    else { sortKey = th.dataset.key; sortDesc = !(sortKey === 'name' || sortKey === 'file' || sortKey === 'mi'); }
+    renderRows();
+}));
+document.getElementById('filter').addEventListener('input', renderRows);
+tbody.addEventListener('click', e => {
+    const tr = e.target.closest('tr');
+    if (tr) showSource(tr.dataset.file, +tr.dataset.start, +tr.dataset.end);
+});
+document.querySelectorAll('.file').forEach(el => el.addEventListener('click', () => showSource(el.dataset.file)));
+renderRows();
+`;
+
+/**
+ * Self-contained HTML report for a project analysis (the /analyze-zip response body).
+ * Source text comes from results[].source (kept with the keepSource option) or
+ * options.sources ({ fileName: code }); files without source still get metrics.
+ * options.title: report heading.
+ */
+function renderHtmlReport(analysis, options = {}) {
+    const results = analysis.results ?? [];
+    const rows = functionRows(results);
+    const sources = {
+        ...Object.fromEntries(results.filter(r => typeof r.source === 'string').map(r => [r.fileName, r.source])),
+        ...options.sources
+    };
+    const title = options.title ?? `Complexity report${analysis.rootFolder ? ` — ${analysis.rootFolder}` : ''}`;
+    const hotThreshold = options.hotThreshold ?? 15;
+
+    const totalCognitive = rows.reduce((acc, r) => acc + r.cognitive, 0);
+    const totalCyclomatic = rows.reduce((acc, r) => acc + r.cyclomatic, 0);
+    const errors = results.filter(r => r.error);
+    const partial = results.filter(r => r.metrics?.partial);
+    const violationCount = numberOf(analysis.violations?.length) ?? 0;
+    const skippedCount = numberOf(analysis.skipped?.length) ?? 0;
+    const duplicated = numberOf(analysis.duplication?.percentage);
+    const verdict = analysis.passed === undefined
+        ? ''
+        : `<span class="${analysis.passed ? 'passed' : 'failed'}">Quality gate ${analysis.passed ? 'passed' : `failed (${violationCount} violations)`}</span>`;
+
+    const headers = [
+        ['cognitive', 'CogC'], ['cyclomatic', 'CycC'], ['nloc', 'NLOC'], ['params', 'Params'],
+        ['nesting', 'Nest'], ['mi', 'MI'], ['name', 'Function'], ['file', 'Location']
+    ].map(([key, label]) => `<th data-key="${key}"${key === 'name' || key === 'file' ? ' class="t"' : ''}>${label}</th>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="summary">
+<span>${results.length} files</span>
+<span>${rows.length} functions</span>
+<span>Cognitive complexity: ${totalCognitive} total, ${rows.length ? (totalCognitive / rows.length).toFixed(2) : 0} avg</span>
+<span>Cyclomatic complexity: ${totalCyclomatic} total, ${rows.length ? (totalCyclomatic / rows.length).toFixed(2) : 0} avg</span>
+${duplicated !== null ? `<span>Duplicated lines: ${duplicated}%</span>` : ''}
+${errors.length ? `<span class="failed">${errors.length} files failed to parse</span>` : ''}
+${partial.length ? `<span class="failed">${partial.length} files partially analyzed (syntax errors)</span>` : ''}
+${skippedCount ? `<span>${skippedCount} files or folders skipped</span>` : ''}
+${verdict}
+</div>
+
+<h2>Cognitive complexity per function</h2>
+${renderHistogram(rows)}
+
+<h2>Directories</h2>
+${renderTree(buildTree(results))}
+
+<h2>Functions</h2>
+<p><input id="filter" type="search" placeholder="Filter by function or file" size="40"></p>
+<div class="scroll">
+<table id="functions"><thead><tr>${headers}</tr></thead><tbody></tbody></table>
+</div>
+
+<h2 id="source-section">Source <small id="source-title">(select a function or file)</small></h2>
+<div id="source"></div>
+
+<script type="application/json" id="report-data">${embedJson({ functions: rows, sources, hotThreshold })}</script>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderHtmlReport };
@@ -0,0 +1,250 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+// Worst functions kept per run and per file
+const DEFAULT_WORST_FUNCTIONS = 10;
+const DEFAULT_RUN_LIMIT = 50;
+const MAX_RUN_LIMIT = 1000;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project TEXT NOT NULL,
+        revision TEXT,
+        created_at TEXT NOT NULL,
+        files INTEGER NOT NULL,
+        functions INTEGER NOT NULL,
+        nloc INTEGER NOT NULL,
+        cyclomatic_total INTEGER NOT NULL,
+        cyclomatic_average REAL NOT NULL,
+        cognitive_total INTEGER NOT NULL,
+        cognitive_average REAL NOT NULL,
+        violations INTEGER NOT NULL,
+        passed INTEGER NOT NULL,
+        worst_functions TEXT NOT NULL,
+        analysis TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS runs_by_project ON runs (project, created_at);
+    CREATE TABLE IF NOT EXISTS run_files (
+        run_id INTEGER NOT NULL REFERENCES runs (id) ON DELETE CASCADE,
+        file_name TEXT NOT NULL,
+        functions INTEGER NOT NULL,
+        nloc INTEGER NOT NULL,
+        cyclomatic_total INTEGER NOT NULL,
+        cyclomatic_average REAL NOT NULL,
+        cognitive_total INTEGER NOT NULL,
+        cognitive_average REAL NOT NULL,
+        worst_functions TEXT NOT NULL,
+        PRIMARY KEY (run_id, file_name)
+    );
+    CREATE INDEX IF NOT EXISTS run_files_by_name ON run_files (file_name, run_id);
+`;
+
+function average(total, count) {
+    return count > 0 ? parseFloat((total / count).toFixed(2)) : 0;
+}
+
+// Most complex first: cognitive, then cyclomatic complexity
+function byComplexity(a, b) {
+    return b.cognitive_complexity - a.cognitive_complexity || b.cyclomatic_complexity - a.cyclomatic_complexity;
+}
+
+function worstOf(entries, limit) {
+    return entries.sort(byComplexity).slice(0, limit);
+}
+
+// Totals of a set of functions, as stored for a run or a file
+function totalsOf(functions, nloc) {
+    const cyclomatic = functions.reduce((acc, f) => acc + f.cyclomatic_complexity, 0);
+    const cognitive = functions.reduce((acc, f) => acc + f.cognitive_complexity, 0);
+    return {
+        functions: functions.length,
+        nloc,
+        cyclomatic: { total: cyclomatic, average: average(cyclomatic, functions.length) },
+        cognitive: { total: cognitive, average: average(cognitive, functions.length) }
+    };
+}
+
+function functionEntry(fileName, fn) {
+    return {
+        fileName,
+        name: fn.name,
+        longName: fn.longName,
+        lineStart: fn.lineStart,
+        cognitive_complexity: fn.cognitive_complexity,
+        cyclomatic_complexity: fn.cyclomatic_complexity,
+        NLOC: fn.NLOC
+    };
+}
+
+/**
+ * Figures kept for the trends of an /analyze-zip result: project totals (functions, NLOC, total
+ * and average cyclomatic and cognitive complexity, violations) with its worst functions, and the
+ * same per analyzed file. Files that failed to analyze are left out.
+ */
+function summarizeRun(analysis, worstLimit = DEFAULT_WORST_FUNCTIONS) {
+    const analyzed = (analysis.results ?? []).filter(r => r.metrics);
+    const files = analyzed.map(r => {
+        const functions = r.metrics.functions.map(fn => functionEntry(r.fileName, fn));
+        return {
+            fileName: r.fileName,
+            ...totalsOf(functions, r.metrics.NLOC),
+            worstFunctions: worstOf(functions, worstLimit)
+        };
+    });
+    const functions = analyzed.flatMap(r => r.metrics.functions.map(fn => functionEntry(r.fileName, fn)));
+
+    return {
+        files: analyzed.length,
+        ...totalsOf(functions, files.reduce((acc, f) => acc + f.nloc, 0)),
+        violations: analysis.violations?.length ?? 0,
+        passed: analysis.passed ?? true,
+        worstFunctions: worstOf(functions, worstLimit),
+        fileSummaries: files
+    };
+}
+
+function pointOf(row) {
+    return {
+        functions: row.functions,
+        nloc: row.nloc,
+        cyclomatic: { total: row.cyclomatic_total, average: row.cyclomatic_average },
+        cognitive: { total: row.cognitive_total, average: row.cognitive_average },
+        worstFunctions: JSON.parse(row.worst_functions)
+    };
+}
+
+function runOf(row) {
+    return {
+        id: row.id,
+        project: row.project,
+        revision: row.revision,
+        createdAt: row.created_at,
+        files: row.files,
+        violations: row.violations,
+        passed: row.passed === 1,
+        ...pointOf(row)
+    };
+}
+
+function clampLimit(limit) {
+    const value = parseInt(limit, 10);
+    return Number.isNaN(value) || value < 1 ? DEFAULT_RUN_LIMIT : Math.min(value, MAX_RUN_LIMIT);
+}
+
+/**
+ * History of analysis runs in a SQLite file: every run keeps its project name, revision label,
+ * timestamp, summary (see summarizeRun) and the full result, so complexity can be charted over
+ * time per project and per file.
+ */
+function createRunStore({ file, worstLimit = DEFAULT_WORST_FUNCTIONS }) {
+    // Loaded only when run history is enabled, so the server runs without the native module
+    const Database = require('better-sqlite3');
+
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    db.exec(SCHEMA);
+
+    const insertRun = db.prepare(`
+        INSERT INTO runs (project, revision, created_at, files, functions, nloc, cyclomatic_total, cyclomatic_average,
+            cognitive_total, cognitive_average, violations, passed, worst_functions, analysis)
+        VALUES (@project, @revision, @createdAt, @files, @functions, @nloc, @cyclomaticTotal, @cyclomaticAverage,
+            @cognitiveTotal, @cognitiveAverage, @violations, @passed, @worstFunctions, @analysis)
+    `);
+    const insertFile = db.prepare(`
+        INSERT INTO run_files (run_id, file_name, functions, nloc, cyclomatic_total, cyclomatic_average,
+            cognitive_total, cognitive_average, worst_functions)
+        VALUES (@runId, @fileName, @functions, @nloc, @cyclomaticTotal, @cyclomaticAverage,
+            @cognitiveTotal, @cognitiveAverage, @worstFunctions)
+    `);
+    const RUN_COLUMNS = 'id, project, revision, created_at, files, functions, nloc, cyclomatic_total, cyclomatic_average, cognitive_total, cognitive_average, violations, passed, worst_functions';
+
+    function figures(totals) {
+        return {
+            functions: totals.functions,
+            nloc: totals.nloc,
+            cyclomaticTotal: totals.cyclomatic.total,
+            cyclomaticAverage: totals.cyclomatic.average,
+            cognitiveTotal: totals.cognitive.total,
+            cognitiveAverage: totals.cognitive.average,
+            worstFunctions: JSON.stringify(totals.worstFunctions)
+        };
+    }
+
+    // Store one run; returns it without the full result
+    const record = db.transaction(({ project, revision = null, createdAt = new Date().toISOString() }, analysis) => {
+        const summary = summarizeRun(analysis, worstLimit);
+        const { lastInsertRowid } = insertRun.run({
+            project,
+            revision,
+            createdAt,
+            files: summary.files,
+            ...figures(summary),
+            violations: summary.violations,
+            passed: summary.passed ? 1 : 0,
+            analysis: JSON.stringify(analysis)
+        });
+        for (const file of summary.fileSummaries) {
+            insertFile.run({ runId: lastInsertRowid, fileName: file.fileName, ...figures(file) });
+        }
+        return get(Number(lastInsertRowid), { withAnalysis: false });
+    });
+
+    // Runs newest first, optionally of one project: { runs, total }
+    function list({ project = null, limit, offset = 0 } = {}) {
+        const where = project === null ? '' : 'WHERE project = @project';
+        const params = { project, limit: clampLimit(limit), offset: Math.max(parseInt(offset, 10) || 0, 0) };
+        const runs = db.prepare(`SELECT ${RUN_COLUMNS} FROM runs ${where} ORDER BY created_at DESC, id DESC LIMIT @limit OFFSET @offset`)
+            .all(params)
+            .map(runOf);
+        const { total } = db.prepare(`SELECT COUNT(*) AS total FROM runs ${where}`).get(params);
+        return { runs, total };
+    }
+
+    // One run with its full result as `analysis`, or null
+    function get(id, { withAnalysis = true } = {}) {
+        const row = db.prepare(`SELECT ${RUN_COLUMNS}${withAnalysis ? ', analysis' : ''} FROM runs WHERE id = ?`).get(id);
+        if (!row) return null;
+        return { ...runOf(row), ...(withAnalysis ? { analysis: JSON.parse(row.analysis) } : {}) };
+    }
+
+    // Projects with their number of runs and latest run time
+    function projects() {
+        return db.prepare('SELECT project, COUNT(*) AS runs, MAX(created_at) AS lastRun FROM runs GROUP BY project ORDER BY project').all();
+    }
+
+    /**
+     * Oldest-first points of a project, or of one of its files with `file`: one per run (the latest
+     * `limit` runs), each { runId, revision, createdAt, functions, nloc, cyclomatic, cognitive,
+     * worstFunctions }. Runs where the file was not analyzed have no point for it.
+     */
+    function trend(project, { file = null, limit } = {}) {
+        const params = { project, file, limit: clampLimit(limit) };
+        const rows = file === null
+            ? db.prepare(`SELECT ${RUN_COLUMNS} FROM runs WHERE project = @project ORDER BY created_at DESC, id DESC LIMIT @limit`).all(params)
+            : db.prepare(`
+                SELECT runs.id, runs.revision, runs.created_at, run_files.functions, run_files.nloc,
+                    run_files.cyclomatic_total, run_files.cyclomatic_average, run_files.cognitive_total,
+                    run_files.cognitive_average, run_files.worst_functions
+                FROM run_files JOIN runs ON runs.id = run_files.run_id
+                WHERE runs.project = @project AND run_files.file_name = @file
+                ORDER BY runs.created_at DESC, runs.id DESC LIMIT @limit
+            `).all(params);
+
+        return rows.reverse().map(row => ({ runId: row.id, revision: row.revision, createdAt: row.created_at, ...pointOf(row) }));
+    }
+
+    function close() {
+        db.close();
+    }
+
+    return { record, list, get, projects, trend, close };
+}
+
+module.exports = {
+    DEFAULT_WORST_FUNCTIONS,
+    summarizeRun,
+    createRunStore
+};
@@ -1,280 +1,36 @@
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
-const parser = require('@babel/parser');
-const traverse = require('@babel/traverse').default;
-const generate = require('@babel/generator').default;
 const fs = require('node:fs');
 const path = require('node:path');
 const os = require('node:os');
 const AdmZip = require('adm-zip');
+const { calculateMetrics, isCodeFile, relativeFileName, analyzeFileAt } = require('./analyzer');
+const { walkCodeFiles, projectFiles, loadProjectConfig, loadProjectBaseline, analyzeFiles, linkProject, analyzeProject } = require('./project');
+const { resolveConfig, evaluateFile } = require('./gate');
+const { REPORT_FORMATS, formatReport } = require('./formats');
+const { renderHtmlReport } = require('./report');
+const { FINISHED_STATES, createJobStore } = require('./jobs');
+const { DEFAULT_POOL_SIZE, createWorkerPool } = require('./pool');
+const { DEFAULT_CACHE_SIZE, DEFAULT_DISK_CACHE_SIZE, hash, createResultCache } = require('./cache');
+const { uploadedGitDir, repositoryHead, analyzeHotspots } = require('./history');
+const { matchFunctions, comparePair, byWorstFirst, compareAnalyses } = require('./compare');
+const { parsePatch, applyFilePatch, hunkTouches } = require('./patch');
+const { BASELINE_FILE_NAME, parseBaseline, refreshBaseline } = require('./baseline');
+const { createRunStore } = require('./runs');
+const { parseGlobList } = require('./ignore');
 
 const app = express();
 const upload = multer({ storage: multer.memoryStorage() });
+// Background analysis jobs; set JOBS_DIR to keep finished jobs on disk instead of in memory
+const jobStore = createJobStore({ directory: process.env.JOBS_DIR || null });
+// History of /analyze-zip runs for trends; set HISTORY_DB to a SQLite file to turn it on
+const runStore = process.env.HISTORY_DB ? createRunStore({ file: process.env.HISTORY_DB }) : null;
 
 app.use(cors());
-app.use(express.json());
+// Large enough for a full /analyze-zip result posted back to /report
+app.use(express.json({ limit: '50mb' }));
 
-function calculateMetrics(code) {
-    try {
-        const ast = parser.parse(code, {
-            sourceType: 'module',
-            plugins: ['jsx', 'typescript', 'classProperties', 'classPrivateProperties', 'objectRestSpread'],
-            ranges: true,
-            locations: true,
-            allowReturnOutsideFunction: true
-        });
-
-        const metrics = {
-            LOC: code.split('\n').length,
-            NLOC: code.split('\n').filter(l => l.trim()).length,
-            NOF: 0,
-            functions: []
-        };
-
-        traverse(ast, {
-            enter(p) {
-                // Only handle function-like nodes (covers FunctionDeclaration/Expression, Arrow, ObjectMethod, ClassMethod)
-                if (!p.isFunction()) return;
-
-                // Prefer the function node itself for start/end
-                const fnNode = p.node;
-
-                // Name resolution
-                let functionName = fnNode.id?.name ?? 'anonymous';
-                if (functionName === 'anonymous') {
-                    const par = p.parentPath;
-                    if (par?.isVariableDeclarator() && par.node.id.type === 'Identifier') {
-                        functionName = par.node.id.name;                         // const foo = () => {}
-                    } else if (par?.isObjectProperty() && par.node.key.type === 'Identifier') {
-                        functionName = par.node.key.name;                        // const o = { foo() {} }
-                    } else if (p.isClassMethod() || p.isObjectMethod()) {
-                        const key = fnNode.key;
-                        if (key?.type === 'Identifier') functionName = key.name; // class X { foo() {} }
-                    }
-                }
-
-                // Safe slice by character range (no manual line/column math!)
-                const start = fnNode.start ?? 0;
-                const end = fnNode.end ?? code.length;
-                const functionCode = code.slice(start, end);
-
-                const lineStart = fnNode.loc?.start?.line ?? null;
-                const lineEnd = fnNode.loc?.end?.line ?? null;
-
-                metrics.NOF += 1;
-                // Calculate base nesting from ancestors
-                let baseNesting = 0;
-                let curr = p.parentPath;
-                while (curr) {
-                    if (curr.isFunction() ||
-                        curr.isIfStatement() ||
-                        curr.isForStatement() || curr.isForInStatement() || curr.isForOfStatement() ||
-                        curr.isWhileStatement() || curr.isDoWhileStatement() ||
-                        curr.isSwitchStatement() ||
-                        curr.isCatchClause()) {
-
-                        // Handle Else If: if parent is If and we are alternate, don't increment IF parent is implicitly handling it?
-                        // Actually, standard nesting rules: "else if" logic is local.
-                        // Standard nesting increases for Function, If, Loop, Switch, Catch.
-                        // For callbacks, we count the Function boundary as a nesting increment.
-                        baseNesting++;
-                    }
-                    curr = curr.parentPath;
-                }
-
-                metrics.functions.push({
-                    name: functionName,
-                    NLOC: functionCode.split('\n').filter(l => l.trim()).length,
-                    CC: calculateCognitiveComplexity(p, baseNesting, functionName), // Pass the NodePath, baseNesting, and functionName
-                    lineStart,
-                    lineEnd
-                });
-            }
-        });
-
-        return metrics;
-    } catch (error) {
-        console.error('Error parsing code:', error);
-        throw error;
-    }
-}
-
-// function calculateCC(functionCode) {
-//   let complexity = 1;
-//   try {
-//     let src = String(functionCode).trim();
-
-//     // If it starts with 'async function' or 'function', wrap to make it an expression
-//     if (/^(async\s+)?function\b/.test(src)) {
-//       src = `(${src})`;
-//     }
-//     // Class/Object method shorthand like "foo() { ... }" → wrap into object
-//     else if (/^\w+\s*\([^)]*\)\s*\{/.test(src)) {
-//       src = `({ ${src} })`;
-//     }
-
-//     // Arrow functions are already expressions; leave them as-is
-//     // Now parse in expression position (no extra block!)
-//     const ast = parser.parse(`${src};`, {
-//       sourceType: 'module',
-//       plugins: ['jsx', 'typescript', 'classProperties', 'objectRestSpread'],
-//       allowReturnOutsideFunction: true
-//     });
-
-//     traverse(ast, {
-//       enter(path) {
-//         switch (path.type) {
-//           case 'IfStatement':
-//           case 'ConditionalExpression':
-//           case 'ForStatement':
-//           case 'ForInStatement':
-//           case 'ForOfStatement':
-//           case 'WhileStatement':
-//           case 'DoWhileStatement':
-//           case 'CatchClause':
-//             complexity++;
-//             break;
-//           case 'LogicalExpression':
-//             if (path.node.operator === '&&' || path.node.operator === '||') complexity++;
-//             break;
-//           case 'SwitchCase':
-//             if (path.node.test) complexity++;
-//             break;
-//         }
-//       }
-//     });
-
-//     return complexity;
-//   } catch (error) {
-//     console.error('Error calculating cyclomatic complexity:', error);
-//     console.error('Function code causing error:', functionCode);
-//     return 1;
-//   }
-// }
-
-function calculateCognitiveComplexity(funcPath, baseNesting = 0, functionName = null) {
-    let complexity = 0;
-    let nesting = baseNesting;
-
-    // Increment for structural elements (if, looping, catch)
-    function addStructural() {
-        complexity += 1 + nesting;
-    }
-
-    // Increment for fundamental elements (else, default, binary sequences)
-    function addFundamental() {
-        complexity += 1;
-    }
-
-    funcPath.traverse({
-        enter(path) {
-            // Stop traversal if we hit a nested function (CC is per-function)
-            if (path.isFunction() && path !== funcPath) {
-                path.skip();
-                return;
-            }
-
-            // --- Recursion ---
-            // B1: each method in a recursion cycle
-            if (path.isCallExpression() && functionName) {
-                const callee = path.node.callee;
-                if (callee.type === 'Identifier' && callee.name === functionName) {
-                    addFundamental();
-                }
-            }
-
-            // --- Break/Continue with Label ---
-            // B1: break LABEL, continue LABEL
-            if ((path.isBreakStatement() || path.isContinueStatement()) && path.node.label) {
-                addFundamental();
-            }
-
-            // --- Control Flow ---
-            if (path.isIfStatement()) {
-                const isElseIf = path.key === 'alternate' && path.parentPath.isIfStatement();
-
-                if (isElseIf) {
-                    // Else-if should not increase nesting relative to the chain
-                    // Parent nesting included us, so cost is flat (+1 structural)
-                    // We calculate cost using (nesting - 1) to simulate being at parent's level
-                    complexity += 1 + (nesting - 1);
-                } else {
-                    addStructural();
-                    nesting++;
-                }
-
-                // Check for 'else' (non-if alternate)
-                if (path.node.alternate && path.node.alternate.type !== 'IfStatement') {
-                    addFundamental();
-                }
-            }
-            else if (path.isSwitchStatement()) {
-                // Switch: +1 nesting level, but +0 complexity itself
-                nesting++;
-            }
-            else if (path.isSwitchCase()) {
-                // Each 'case' and 'default' adds +1
-                addFundamental();
-            }
-            else if (path.isForStatement() || path.isForInStatement() || path.isForOfStatement() ||
-                path.isWhileStatement() || path.isDoWhileStatement()) {
-                addStructural();
-                nesting++;
-            }
-            else if (path.isCatchClause()) {
-                addStructural();
-                nesting++; // Catch block implies nesting
-            }
-            // --- Logical Operators (&&, ||, ??) ---
-            else if (path.isLogicalExpression()) {
-                const op = path.node.operator;
-                if (op === '&&' || op === '||' || op === '??') {
-                    // Only add if not part of a sequence of the same operator
-                    if (!path.parentPath.isLogicalExpression() || path.parentPath.node.operator !== op) {
-                        addFundamental();
-                    }
-                }
-            }
-            else if (path.isConditionalExpression()) {
-                addStructural();
-                nesting++;
-            }
-        },
-        exit(path) {
-            if (path.isIfStatement()) {
-                const isElseIf = path.key === 'alternate' && path.parentPath.isIfStatement();
-                if (!isElseIf) {
-                    nesting--;
-                }
-            }
-            else if (path.isSwitchStatement() ||
-                path.isForStatement() || path.isForInStatement() || path.isForOfStatement() ||
-                path.isWhileStatement() || path.isDoWhileStatement() ||
-                path.isCatchClause() ||
-                path.isConditionalExpression()) {
-                nesting--;
-            }
-        }
-    });
-
-    return complexity;
-}
-
-function analyzeFile(filePath) {
-    try {
-        const code = fs.readFileSync(filePath, 'utf8');
-        return {
-            fileName: path.basename(filePath),
-            metrics: calculateMetrics(code)
-        };
-    } catch (error) {
-        return {
-            fileName: path.basename(filePath),
-            error: error.message
-        };
-    }
-}
 
 function cleanupDirectory(directory) {
     if (fs.existsSync(directory)) {
@@ -327,160 +83,921 @@ function detectZipRootFolder(zip) {
     return null;
 }
 
-function isCodeFile(file) {
-    return file.endsWith('.jsx') || file.endsWith('.js') || file.endsWith('.ts') || file.endsWith('.tsx');
+
+// Worker pool for zip uploads and jobs, created on first use. ANALYSIS_WORKERS=0 analyzes on the main thread.
+const POOL_SIZE = process.env.ANALYSIS_WORKERS !== undefined ? parseInt(process.env.ANALYSIS_WORKERS, 10) : DEFAULT_POOL_SIZE;
+let pool = null;
+
+function analysisPool() {
+    if (!pool && POOL_SIZE > 0) {
+        pool = createWorkerPool(path.join(__dirname, 'worker.js'), {
+            size: POOL_SIZE,
+            timeout: parseInt(process.env.ANALYSIS_TIMEOUT_MS, 10) || undefined,
+            maxMemoryMb: parseInt(process.env.ANALYSIS_MAX_MEMORY_MB, 10) || undefined
+        });
+    }
+    return pool;
+}
+
+// The analyzer's own sources stand in for its version in cache keys: any change to them invalidates old results
+const ANALYZER_VERSION = hash(...['analyzer.js', 'callgraph.js', 'classes.js', 'depgraph.js', 'clones.js', 'sfc.js', 'suppressions.js']
+    .map(file => fs.readFileSync(path.join(__dirname, file), 'utf8')));
+
+// A number of entries from the environment; a typo must not silently turn a bound off
+function entryCountFromEnv(name, fallback) {
+    const value = process.env[name];
+    if (value === undefined || value === '') return fallback;
+    if (!/^\d+$/.test(value.trim())) throw new Error(`${name} must be a number of entries, got "${value}"`);
+    return parseInt(value, 10);
+}
+
+// calculateMetrics results by content hash. RESULT_CACHE_SIZE entries in memory, RESULT_CACHE_DIR to also keep
+// up to RESULT_CACHE_DISK_SIZE of them on disk.
+const resultCache = createResultCache({
+    version: ANALYZER_VERSION,
+    maxEntries: entryCountFromEnv('RESULT_CACHE_SIZE', DEFAULT_CACHE_SIZE),
+    directory: process.env.RESULT_CACHE_DIR || null,
+    maxDiskEntries: entryCountFromEnv('RESULT_CACHE_DISK_SIZE', DEFAULT_DISK_CACHE_SIZE)
+});
+
+function cacheKeyFor(code, options) {
+    // Only the options that change calculateMetrics output; the extension decides the parser syntax
+    return resultCache.key(code, {
+        explain: Boolean(options.explain),
+        tokenStream: Boolean(options.tokenStream),
+        extension: path.extname(options.fileName ?? '').toLowerCase()
+    });
+}
+
+// calculateMetrics through the result cache
+function cachedMetrics(code, options = {}) {
+    const cacheKey = cacheKeyFor(code, options);
+    const cached = resultCache.get(cacheKey);
+    if (cached) return cached;
+
+    const metrics = calculateMetrics(code, options);
+    resultCache.set(cacheKey, metrics);
+    return metrics;
+}
+
+/**
+ * Per-file analysis of a project off the main thread, results in filePaths order. Files
+ * already in the result cache skip the workers. A file that times out or exhausts its
+ * worker's memory gets an error result like a parse failure.
+ * onResult is called as each file finishes; once isCancelled() returns true no new files start.
+ * Returns { results, cache: { hits, misses } }.
+ */
+async function analyzeFilesInPool(filePaths, rootPath, options = {}, { onResult = () => {}, isCancelled = () => false } = {}) {
+    const workers = analysisPool();
+    const results = new Array(filePaths.length);
+    const fileOptions = { ...options, tokenStream: true };
+    const cache = { hits: 0, misses: 0 };
+    let next = 0;
+
+    async function analyze(filePath) {
+        const fileName = relativeFileName(filePath, rootPath);
+        let code;
+        try {
+            code = fs.readFileSync(filePath, 'utf8');
+        } catch (error) {
+            return { fileName, error: error.message };
+        }
+
+        const cacheKey = cacheKeyFor(code, { ...fileOptions, fileName: filePath });
+        const cached = resultCache.get(cacheKey);
+        if (cached) {
+            cache.hits += 1;
+            return { fileName, metrics: cached, ...(fileOptions.keepSource ? { source: code } : {}) };
+        }
+        cache.misses += 1;
+
+        let result;
+        if (workers) {
+            try {
+                result = await workers.run({ filePath, rootPath, options: fileOptions });
+            } catch (error) {
+                return { fileName, error: error.message };
+            }
+        } else {
+            result = analyzeFileAt(filePath, rootPath, fileOptions);
+        }
+        if (result.metrics) resultCache.set(cacheKey, result.metrics);
+        return result;
+    }
+
+    async function lane() {
+        while (next < filePaths.length && !isCancelled()) {
+            const i = next++;
+            results[i] = await analyze(filePaths[i]);
+            onResult(results[i]);
+            // Let other requests through between files handled on this thread
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    }
+
+    await Promise.all(Array.from({ length: workers?.size ?? 1 }, lane));
+    return { results: results.filter(Boolean), cache };
+}
+
+// Analysis options from the query string (?explain=true) or, for JSON endpoints, the body
+function getAnalysisOptions(req) {
+    const flag = (name) => {
+        const value = req.query?.[name] ?? req.body?.[name];
+        return value === true || value === 'true' || value === '1';
+    };
+    const number = (name) => {
+        const value = parseInt(req.query?.[name] ?? req.body?.[name], 10);
+        return Number.isNaN(value) ? undefined : value;
+    };
+    return {
+        format: req.query?.format ?? req.body?.format ?? 'json',
+        explain: flag('explain'),
+        keepSource: flag('sources'),
+        include: parseGlobList(req.query?.include ?? req.body?.include),
+        exclude: parseGlobList(req.query?.exclude ?? req.body?.exclude),
+        keepGenerated: flag('keepGenerated'),
+        minCloneTokens: number('minCloneTokens'),
+        minCloneLines: number('minCloneLines')
+    };
+}
+
+// JSON as-is, the report's violations rendered as SARIF / Checkstyle, or a project report as HTML
+function sendReport(res, report, format) {
+    if (!format || format === 'json') return res.json(report);
+    if (format === 'html') return res.type('text/html').send(renderHtmlReport(report));
+    const { contentType, body } = formatReport(report.violations, format);
+    res.type(contentType).send(body);
+}
+
+// Clone detection options, when given, must be positive integers
+function checkCloneOptions(req, res) {
+    for (const name of ['minCloneTokens', 'minCloneLines']) {
+        const value = req.query?.[name] ?? req.body?.[name];
+        if (value === undefined || value === '') continue;
+        if (!/^\d+$/.test(String(value).trim()) || parseInt(value, 10) < 1) {
+            res.status(400).json({ error: `"${name}" must be a positive integer` });
+            return false;
+        }
+    }
+    return true;
 }
 
-function analyzeFileAt(filePath, rootPathForRel) {
-    // like your analyzeFile, but preserves path relative to detected root
+function checkFormat(req, res, formats = REPORT_FORMATS) {
+    const { format } = getAnalysisOptions(req);
+    if (formats.includes(format)) return true;
+    res.status(400).json({ error: `Unknown format "${format}" (expected one of ${formats.join(', ')})` });
+    return false;
+}
+
+// Extract an uploaded zip to a fresh temp directory; rootPath is its single top-level folder if it has one
+function extractZip(zip) {
+    const extractPath = fs.mkdtempSync(path.join(os.tmpdir(), 'extracted_'));
+
+    // Detect root folder from entries BEFORE extract
+    const detectedRoot = detectZipRootFolder(zip);
+
+    // Extract the zip file; a broken archive leaves nothing behind
     try {
-        const code = fs.readFileSync(filePath, 'utf8');
-        const rel = rootPathForRel ? path.relative(rootPathForRel, filePath) : path.basename(filePath);
-        return {
-            fileName: rel.replaceAll(path.sep, '/'),
-            metrics: calculateMetrics(code)
-        };
+        zip.extractAllTo(extractPath, true);
     } catch (error) {
-        const rel = rootPathForRel ? path.relative(rootPathForRel, filePath) : path.basename(filePath);
-        return {
-            fileName: rel.replaceAll(path.sep, '/'),
-            error: error.message
-        };
+        cleanupDirectory(extractPath);
+        throw error;
     }
+
+    // Decide actual root path to traverse
+    const rootPath = detectedRoot
+        ? path.join(extractPath, detectedRoot)
+        : extractPath;
+
+    return { extractPath, detectedRoot, rootPath };
 }
 
-app.post('/analyze-zip', (req, res) => {
+app.post('/analyze-zip', upload.single('file'), async (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'No file uploaded' });
     }
+    if (!checkFormat(req, res, [...REPORT_FORMATS, 'html'])) return;
+    if (!checkCloneOptions(req, res)) return;
 
+    let extractPath = null;
     try {
         console.log('Received file:', req.file.originalname);
-        const zip = new AdmZip(req.file.buffer);
-        const extractPath = path.join(os.tmpdir(), 'extracted_' + Date.now());
+        const extracted = extractZip(new AdmZip(req.file.buffer));
+        extractPath = extracted.extractPath;
+        const { detectedRoot, rootPath } = extracted;
+
+        // Quality gate: .complexityrc.json in the project root, then the request's "config" field;
+        // baseline: the request's "baseline" field, else .complexity-baseline.json in the project root
+        let gateConfig;
+        let baseline;
+        try {
+            gateConfig = loadProjectConfig(rootPath, req.body?.config);
+            baseline = loadProjectBaseline(rootPath, req.body?.baseline);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
 
-        // Create extraction directory
-        if (!fs.existsSync(extractPath)) fs.mkdirSync(extractPath);
+        // Traverse from the chosen root
+        const options = getAnalysisOptions(req);
+        if (options.format === 'html') options.keepSource = true;
+        const { files, skipped } = projectFiles(rootPath, options);
+        const { results, cache } = await analyzeFilesInPool(files, rootPath, options);
+        const analysis = { rootFolder: detectedRoot || null, ...linkProject(results, options, gateConfig, baseline), cache, skipped };
+
+        // Run history: "project" defaults to the project folder or zip name, "revision" is any label (commit, tag, build)
+        const run = runStore?.record({
+            project: String(req.body?.project ?? req.query?.project ?? (detectedRoot || path.parse(req.file.originalname).name)),
+            revision: req.body?.revision ?? req.query?.revision ?? null
+        }, analysis);
+
+        sendReport(res, { ...analysis, ...(run ? { run } : {}) }, options.format);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    } finally {
+        // Extracted contents; req.file is in memory, so no path to unlink
+        if (extractPath) cleanupDirectory(extractPath);
+    }
+});
 
-        // Detect root folder from entries BEFORE extract
-        const detectedRoot = detectZipRootFolder(zip);
+/**
+ * Baseline for an uploaded project (same input as /analyze-zip). Commit the response as
+ * .complexity-baseline.json in the project root, or send it as "baseline" with later analyses,
+ * which then report only new or worse violations. ?refresh=ratchet updates the project's current
+ * baseline instead of replacing it: improvements are kept, new code and regressions are not accepted.
+ */
+app.post('/baseline', upload.single('file'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+    if (!checkCloneOptions(req, res)) return;
+    const ratchet = (req.query?.refresh ?? req.body?.refresh) === 'ratchet';
 
-        // Extract the zip file
-        zip.extractAllTo(extractPath, true);
+    let extracted = null;
+    try {
+        extracted = extractZip(new AdmZip(req.file.buffer));
 
-        // Decide actual root path to traverse
-        const rootPath = detectedRoot
-            ? path.join(extractPath, detectedRoot)
-            : extractPath;
+        let previous;
+        try {
+            previous = loadProjectBaseline(extracted.rootPath, req.body?.baseline);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (ratchet && !previous) {
+            return res.status(400).json({ error: `refresh=ratchet needs a current baseline ("baseline" field or ${BASELINE_FILE_NAME})` });
+        }
 
-        // Traverse from the chosen root
-        const results = [];
-
-        (function processDirectory(directory) {
-            fs.readdirSync(directory).forEach(file => {
-                const fullPath = path.join(directory, file);
-                const stat = fs.statSync(fullPath);
-
-                // ✅ Skip node_modules and other heavy/irrelevant folders
-                if (stat.isDirectory()) {
-                    if (file === 'node_modules' || file.startsWith('.git') || file === 'dist' || file === 'build') {
-                        console.log(`Skipping ignored folder: ${fullPath}`);
-                        return;
-                    }
-                    processDirectory(fullPath);
-                } else if (isCodeFile(file)) {
-                    results.push(analyzeFileAt(fullPath, rootPath));
-                }
+        const options = getAnalysisOptions(req);
+        const { files } = projectFiles(extracted.rootPath, options);
+        const { results } = await analyzeFilesInPool(files, extracted.rootPath, options);
+        res.json(refreshBaseline(previous, linkProject(results, options), { ratchet }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    } finally {
+        if (extracted) cleanupDirectory(extracted.extractPath);
+    }
+});
+
+/**
+ * Analyze an uploaded project as a background job, reporting progress per file and stopping
+ * early when the job is cancelled.
+ */
+async function runAnalysisJob(job, zip, options, extraConfig, baselineOverride) {
+    let extractPath = null;
+    try {
+        const extracted = extractZip(zip);
+        extractPath = extracted.extractPath;
+        job.rootFolder = extracted.detectedRoot || null;
+
+        const gateConfig = loadProjectConfig(extracted.rootPath, extraConfig);
+        const baseline = loadProjectBaseline(extracted.rootPath, baselineOverride);
+        const { files, skipped } = projectFiles(extracted.rootPath, options);
+        jobStore.start(job, files.length);
+
+        const { results, cache } = await analyzeFilesInPool(files, extracted.rootPath, options, {
+            onResult: result => jobStore.addResult(job, result),
+            isCancelled: () => jobStore.isCancelled(job)
+        });
+
+        if (jobStore.isCancelled(job)) {
+            jobStore.finish(job, 'cancelled');
+        } else {
+            jobStore.complete(job, { ...linkProject(results, options, gateConfig, baseline), cache, skipped });
+        }
+    } catch (error) {
+        jobStore.fail(job, error);
+    } finally {
+        if (extractPath) cleanupDirectory(extractPath);
+    }
+}
+
+function findJob(req, res) {
+    const job = jobStore.get(req.params.id);
+    if (!job) res.status(404).json({ error: `Unknown job "${req.params.id}"` });
+    return job;
+}
+
+function jobLinks(job) {
+    return {
+        status: `/jobs/${job.id}`,
+        results: `/jobs/${job.id}/results`,
+        project: `/jobs/${job.id}/project`,
+        events: `/jobs/${job.id}/events`
+    };
+}
+
+// Same input as /analyze-zip, but returns a job ID right away and analyzes in the background
+app.post('/jobs', upload.single('file'), (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+    if (!checkCloneOptions(req, res)) return;
+
+    let zip;
+    try {
+        zip = new AdmZip(req.file.buffer);
+        resolveConfig(req.body?.config);
+        if (req.body?.baseline) parseBaseline(req.body.baseline);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    const job = jobStore.create();
+    setImmediate(() => runAnalysisJob(job, zip, getAnalysisOptions(req), req.body?.config, req.body?.baseline));
+
+    res.status(202).json({ ...jobStore.status(job), links: jobLinks(job) });
+});
+
+app.get('/jobs/:id', (req, res) => {
+    const job = findJob(req, res);
+    if (job) res.json({ ...jobStore.status(job), links: jobLinks(job) });
+});
+
+// Paged per-file results: ?offset=0&limit=50 (at most 500 per page)
+app.get('/jobs/:id/results', (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    res.json(jobStore.results(job, offset, limit));
+});
+
+// Call graph, dependency graph, duplication and quality gate verdict of a completed job
+app.get('/jobs/:id/project', (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    const project = jobStore.project(job);
+    if (!project) return res.status(409).json({ error: `Job is ${job.status}`, status: job.status });
+    res.json(project);
+});
+
+// Server-Sent Events: "status" on state changes, "progress" after each file, then "end"
+app.get('/jobs/:id/events', (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    send('status', jobStore.status(job));
+    if (FINISHED_STATES.has(job.status)) {
+        send('end', jobStore.status(job));
+        return res.end();
+    }
+
+    const listener = (event, data) => {
+        send(event, data);
+        if (event === 'end') res.end();
+    };
+    job.events.on('event', listener);
+    req.on('close', () => job.events.off('event', listener));
+});
+
+app.post('/jobs/:id/cancel', (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    if (!jobStore.cancel(job)) return res.status(409).json({ error: `Job already ${job.status}`, status: job.status });
+    res.status(202).json(jobStore.status(job));
+});
+
+// Forget a job and its stored results, cancelling it first if it is still running
+app.delete('/jobs/:id', (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    jobStore.remove(job.id);
+    res.status(204).end();
+});
+
+// Result cache size and lifetime hit/miss counts
+app.get('/cache', (req, res) => {
+    res.json(resultCache.stats());
+});
+
+app.delete('/cache', (req, res) => {
+    res.json({ cleared: resultCache.clear() });
+});
+
+function checkRunStore(res) {
+    if (runStore) return true;
+    res.status(403).json({ error: 'Run history is disabled; set HISTORY_DB on the server' });
+    return false;
+}
+
+// Stored runs, newest first: ?project=, limit, offset
+app.get('/runs', (req, res) => {
+    if (!checkRunStore(res)) return;
+    res.json(runStore.list({ project: req.query.project ?? null, limit: req.query.limit, offset: req.query.offset }));
+});
+
+// One stored run with its full /analyze-zip result; ?format= renders that result like /analyze-zip
+app.get('/runs/:id', (req, res) => {
+    if (!checkRunStore(res)) return;
+    if (!checkFormat(req, res, [...REPORT_FORMATS, 'html'])) return;
+
+    const run = /^\d+$/.test(req.params.id) ? runStore.get(parseInt(req.params.id, 10)) : null;
+    if (!run) return res.status(404).json({ error: 'Run not found' });
+
+    const { format } = getAnalysisOptions(req);
+    if (format !== 'json') {
+        const { analysis, ...meta } = run;
+        return sendReport(res, { ...analysis, run: meta }, format);
+    }
+    res.json(run);
+});
+
+// Projects with stored runs
+app.get('/projects', (req, res) => {
+    if (!checkRunStore(res)) return;
+    res.json({ projects: runStore.projects() });
+});
+
+/**
+ * Complexity over time for a project, oldest run first: total and average cyclomatic and
+ * cognitive complexity, NLOC and worst functions per run. ?file= gives the trend of one file
+ * (path as in the results); limit keeps the latest runs.
+ */
+app.get('/projects/:project/trend', (req, res) => {
+    if (!checkRunStore(res)) return;
+    const file = req.query.file ?? null;
+    const points = runStore.trend(req.params.project, { file, limit: req.query.limit });
+    if (points.length === 0) {
+        return res.status(404).json({ error: file ? `No runs of "${req.params.project}" include ${file}` : `No runs of "${req.params.project}"` });
+    }
+    res.json({ project: req.params.project, file, points });
+});
+
+// Extract and analyze an uploaded zip as a project; the extracted files are removed afterwards
+async function analyzeZipBuffer(buffer, options = {}) {
+    const { extractPath, detectedRoot, rootPath } = extractZip(new AdmZip(buffer));
+    try {
+        const { files, skipped } = projectFiles(rootPath, options);
+        const { results } = await analyzeFilesInPool(files, rootPath, options);
+        return { rootFolder: detectedRoot || null, results, skipped };
+    } finally {
+        cleanupDirectory(extractPath);
+    }
+}
+
+// One source string as a per-file result: { fileName, metrics } or { fileName, error, diagnostics }
+function analyzeSource(code, fileName, options = {}) {
+    try {
+        return { fileName, metrics: cachedMetrics(code, { ...options, fileName }) };
+    } catch (error) {
+        return { fileName, error: error.message, ...(error.diagnostics ? { diagnostics: error.diagnostics } : {}) };
+    }
+}
+
+// Complexity deltas between two versions of one file (see compare.js)
+function compareSources(baseCode, headCode, fileName, options = {}) {
+    return compareAnalyses([analyzeSource(baseCode, fileName, options)], [analyzeSource(headCode, fileName, options)]);
+}
+
+/**
+ * Complexity deltas between two versions: upload "base" and "head" as two zips or two source
+ * files, or send JSON { base, head, filename } with the source text. Functions are matched by
+ * qualified name and position; only added, removed and changed ones are listed, worst first.
+ */
+app.post('/compare', upload.fields([{ name: 'base', maxCount: 1 }, { name: 'head', maxCount: 1 }]), async (req, res) => {
+    const baseFile = req.files?.base?.[0];
+    const headFile = req.files?.head?.[0];
+    const options = getAnalysisOptions(req);
+
+    try {
+        if (baseFile && headFile) {
+            const isZip = (file) => file.originalname.toLowerCase().endsWith('.zip');
+            if (isZip(baseFile) !== isZip(headFile)) {
+                return res.status(400).json({ error: 'Upload two zips or two source files' });
+            }
+            if (!isZip(headFile)) {
+                return res.json(compareSources(baseFile.buffer.toString('utf8'), headFile.buffer.toString('utf8'), headFile.originalname, options));
+            }
+
+            const base = await analyzeZipBuffer(baseFile.buffer, options);
+            const head = await analyzeZipBuffer(headFile.buffer, options);
+            return res.json({
+                base: { rootFolder: base.rootFolder },
+                head: { rootFolder: head.rootFolder },
+                ...compareAnalyses(base.results, head.results)
             });
-        })(rootPath);
+        }
 
+        const { base, head, filename } = req.body ?? {};
+        if (typeof base !== 'string' || typeof head !== 'string' || !filename) {
+            return res.status(400).json({ error: 'Upload "base" and "head" files, or send "base", "head" and "filename"' });
+        }
+        res.json(compareSources(base, head, filename, options));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        // Clean up extracted contents
-        // req.file is in memory, so no path to unlink
+// A '/'-separated path from a request, resolved inside rootPath; throws for paths that leave it
+function resolveInside(rootPath, relativePath) {
+    const full = path.resolve(rootPath, relativePath);
+    const relative = path.relative(rootPath, full);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+        throw new Error(`Path "${relativePath}" is outside the project`);
+    }
+    return full;
+}
+
+// A project sent as { path: source } written to a fresh temp directory, laid out like extractZip's result
+function writeWorkspace(files) {
+    const extractPath = fs.mkdtempSync(path.join(os.tmpdir(), 'workspace_'));
+    try {
+        for (const [fileName, code] of Object.entries(files)) {
+            const full = resolveInside(extractPath, fileName);
+            fs.mkdirSync(path.dirname(full), { recursive: true });
+            fs.writeFileSync(full, String(code));
+        }
+    } catch (error) {
         cleanupDirectory(extractPath);
+        throw error;
+    }
+    return { extractPath, detectedRoot: null, rootPath: extractPath };
+}
+
+// Apply one file's patch in the workspace; returns the file's content before and after
+function applyToWorkspace(rootPath, filePatch) {
+    const oldFile = filePatch.oldPath ? resolveInside(rootPath, filePatch.oldPath) : null;
+    const newFile = filePatch.newPath ? resolveInside(rootPath, filePatch.newPath) : null;
+    if (oldFile && !filePatch.created && !fs.existsSync(oldFile)) {
+        throw new Error(`${filePatch.oldPath} is not in the base project`);
+    }
+
+    const before = oldFile && !filePatch.created ? fs.readFileSync(oldFile, 'utf8') : '';
+    const { content, hunks } = applyFilePatch(before, filePatch);
+    if (oldFile && (filePatch.deleted || oldFile !== newFile)) fs.rmSync(oldFile, { force: true });
+    if (newFile && !filePatch.deleted) {
+        fs.mkdirSync(path.dirname(newFile), { recursive: true });
+        fs.writeFileSync(newFile, content);
+    }
+    return { filePatch, before, after: filePatch.deleted ? null : content, hunks };
+}
+
+// Functions of one patched file whose lines overlap its hunks, base and head values side by side
+function touchedFunctions(baseMetrics, headMetrics, hunks) {
+    return matchFunctions(baseMetrics?.functions ?? [], headMetrics?.functions ?? [])
+        .filter(([b, h]) => (h
+            ? hunks.some(hunk => hunkTouches(hunk, 'new', h.lineStart, h.lineEnd))
+            : hunks.some(hunk => hunkTouches(hunk, 'old', b.lineStart, b.lineEnd))))
+        .map(([b, h]) => comparePair(b, h))
+        .sort(byWorstFirst);
+}
+
+/**
+ * Metrics for only the functions a patch touches. Send the base project as a zip ("base") or as
+ * JSON "files": { path: source }, and a unified diff as "diff" (text or an uploaded file). The
+ * patch is applied in a temporary directory; a patch that does not apply gives 422. The quality
+ * gate is checked against the touched functions only.
+ */
+app.post('/analyze-diff', upload.fields([{ name: 'base', maxCount: 1 }, { name: 'diff', maxCount: 1 }]), (req, res) => {
+    const baseZip = req.files?.base?.[0];
+    const baseFiles = req.body?.files;
+    const diffText = req.files?.diff?.[0]?.buffer.toString('utf8') ?? req.body?.diff;
+
+    if (typeof diffText !== 'string' || !diffText.trim()) {
+        return res.status(400).json({ error: 'Request must include a unified diff as "diff"' });
+    }
+    if (!baseZip && (typeof baseFiles !== 'object' || baseFiles === null || Array.isArray(baseFiles))) {
+        return res.status(400).json({ error: 'Send the base project as a zip ("base") or as "files": { path: source }' });
+    }
 
+    let patch;
+    try {
+        patch = parsePatch(diffText);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (patch.length === 0) {
+        return res.status(400).json({ error: 'The diff does not change any files' });
+    }
+
+    let workspace = null;
+    try {
+        try {
+            workspace = baseZip ? extractZip(new AdmZip(baseZip.buffer)) : writeWorkspace(baseFiles);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        const { rootPath } = workspace;
+
+        let gateConfig;
+        try {
+            gateConfig = loadProjectConfig(rootPath, req.body?.config);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        // Apply every file first: a patch that does not fit the base is reported as a whole
+        let applied;
+        try {
+            applied = patch.map(filePatch => applyToWorkspace(rootPath, filePatch));
+        } catch (error) {
+            return res.status(422).json({ error: `Patch does not apply: ${error.message}` });
+        }
+
+        const options = getAnalysisOptions(req);
+        const files = [];
+        const skipped = [];
+        const violations = [];
+        for (const { filePatch, before, after, hunks } of applied) {
+            const fileName = filePatch.newPath ?? filePatch.oldPath;
+            if (filePatch.binary || !isCodeFile(fileName)) {
+                skipped.push({ fileName, reason: filePatch.binary ? 'binary' : 'not-code' });
+                continue;
+            }
+
+            const base = filePatch.created ? null : analyzeSource(before, filePatch.oldPath, options);
+            const head = filePatch.deleted ? null : analyzeSource(after, filePatch.newPath, options);
+            const functions = touchedFunctions(base?.metrics, head?.metrics, hunks);
+            const errors = [base, head].filter(r => r?.error);
+
+            if (head?.metrics) {
+                const touched = new Set(functions.filter(f => f.head).map(f => `${f.name}:${f.head.lineStart}`));
+                violations.push(...evaluateFile(fileName, head.metrics, gateConfig)
+                    .filter(v => v.scope === 'function' && touched.has(`${v.name}:${v.lineStart}`)));
+            }
+
+            files.push({
+                fileName,
+                ...(filePatch.oldPath && filePatch.newPath && filePatch.oldPath !== filePatch.newPath ? { oldFileName: filePatch.oldPath } : {}),
+                status: filePatch.created ? 'added' : filePatch.deleted ? 'removed' : filePatch.oldPath !== filePatch.newPath ? 'renamed' : 'modified',
+                hunks,
+                functions,
+                ...(errors.length > 0 ? { errors: errors.map(({ fileName: name, error, diagnostics }) => ({ fileName: name, error, diagnostics })) } : {})
+            });
+        }
+
+        const touched = files.flatMap(f => f.functions);
         res.json({
-            rootFolder: detectedRoot || null,
-            totalFiles: results.length,
-            results
+            rootFolder: workspace.detectedRoot || null,
+            summary: {
+                files: files.length,
+                functions: touched.length,
+                added: touched.filter(f => f.status === 'added').length,
+                removed: touched.filter(f => f.status === 'removed').length,
+                changed: touched.filter(f => f.status === 'changed').length,
+                worse: touched.filter(f => f.delta.cognitive > 0).length,
+                better: touched.filter(f => f.delta.cognitive < 0).length,
+                delta: {
+                    cognitive: touched.reduce((acc, f) => acc + f.delta.cognitive, 0),
+                    cyclomatic: touched.reduce((acc, f) => acc + f.delta.cyclomatic, 0)
+                }
+            },
+            files,
+            skipped,
+            passed: violations.length === 0,
+            violations
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    } finally {
+        if (workspace) cleanupDirectory(workspace.extractPath);
+    }
+});
+
+// Folder holding server-side repositories for /hotspots; without it only uploads are accepted
+const REPOSITORIES_DIR = process.env.REPOSITORIES_DIR ? path.resolve(process.env.REPOSITORIES_DIR) : null;
+
+/**
+ * Churn × complexity hotspots of a git repository: upload a zip that includes .git as "file",
+ * or pass "path", relative to REPOSITORIES_DIR. Optional: since (git date, e.g. "1 year ago"),
+ * recentDays, maxCommits and limit, plus the include / exclude options of /analyze-zip.
+ */
+app.post('/hotspots', upload.single('file'), async (req, res) => {
+    const repositoryPath = req.body?.path ?? req.query?.path;
+    if (!req.file && !repositoryPath) {
+        return res.status(400).json({ error: 'Upload a zip that includes .git, or give a repository path' });
+    }
+
+    let extractPath = null;
+    let rootPath;
+    let rootFolder = null;
+    let ceiling;
+    let gitDir;
+    if (req.file) {
+        try {
+            const extracted = extractZip(new AdmZip(req.file.buffer));
+            ({ extractPath, rootPath } = extracted);
+            rootFolder = extracted.detectedRoot || null;
+            ceiling = path.dirname(extractPath);
+            gitDir = uploadedGitDir(rootPath);
+        } catch (error) {
+            if (extractPath) cleanupDirectory(extractPath);
+            return res.status(400).json({ error: error.message });
+        }
+    } else {
+        if (!REPOSITORIES_DIR) {
+            return res.status(403).json({ error: 'Repository paths are disabled; set REPOSITORIES_DIR on the server' });
+        }
+        rootPath = path.resolve(REPOSITORIES_DIR, String(repositoryPath));
+        const relative = path.relative(REPOSITORIES_DIR, rootPath);
+        if (relative.startsWith('..') || path.isAbsolute(relative) || !fs.existsSync(rootPath) || !fs.statSync(rootPath).isDirectory()) {
+            return res.status(404).json({ error: `No repository "${repositoryPath}" in REPOSITORIES_DIR` });
+        }
+        ceiling = path.dirname(REPOSITORIES_DIR);
+    }
+
+    const number = (name) => {
+        const value = parseInt(req.query?.[name] ?? req.body?.[name], 10);
+        return Number.isNaN(value) || value < 1 ? undefined : value;
+    };
+
+    try {
+        if (!await repositoryHead(rootPath, { ceiling, gitDir })) {
+            return res.status(400).json({ error: 'Not a git repository with commits (the project needs its .git folder)' });
+        }
+
+        const options = getAnalysisOptions(req);
+        const { files, skipped } = projectFiles(rootPath, options);
+        const { results } = await analyzeFilesInPool(files, rootPath, options);
+        const hotspots = await analyzeHotspots(rootPath, results, {
+            since: req.query?.since ?? req.body?.since,
+            recentDays: number('recentDays'),
+            maxCommits: number('maxCommits'),
+            limit: number('limit'),
+            ceiling,
+            gitDir
         });
+
+        res.json({ rootFolder, ...hotspots, skipped });
     } catch (error) {
-        // Clean up on error
-        // req.file is in memory
+        res.status(500).json({ error: error.message });
+    } finally {
+        if (extractPath) cleanupDirectory(extractPath);
+    }
+});
+
+// HTML report from a saved /analyze-zip JSON result; request it with ?sources=true to get the source view
+app.post('/report', (req, res) => {
+    if (!Array.isArray(req.body?.results)) {
+        return res.status(400).json({ error: 'Expected an /analyze-zip result with a "results" array' });
+    }
 
+    try {
+        res.type('text/html').send(renderHtmlReport(req.body, { title: req.query.title }));
+    } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// Syntax errors the parser could not recover from are the client's: 422 with the diagnostics
+function sendAnalysisError(res, error, message = error.message) {
+    if (error.diagnostics) {
+        return res.status(422).json({ error: message, diagnostics: error.diagnostics });
+    }
+    res.status(500).json({ error: message });
+}
+
 // Keep the original single file endpoint
-app.post('/analyze', (req, res) => {
+app.post('/analyze', upload.single('file'), (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'No file uploaded' });
     }
+    if (!checkFormat(req, res)) return;
+
+    let gateConfig;
+    try {
+        gateConfig = resolveConfig(req.body?.config);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
 
     try {
         // Calculate without saving to disk first
-        const metrics = calculateMetrics(req.file.buffer.toString('utf8'));
+        const options = getAnalysisOptions(req);
+        const metrics = cachedMetrics(req.file.buffer.toString('utf8'), { ...options, fileName: req.file.originalname });
         const result = {
             fileName: req.file.originalname,
             metrics: metrics
         };
 
-        res.json(result.metrics);
+        const violations = evaluateFile(result.fileName, result.metrics, gateConfig);
+        sendReport(res, { ...result.metrics, passed: violations.length === 0, violations }, options.format);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendAnalysisError(res, error);
     }
 });
 
+// Snake-case Halstead fields for the lizard-style /analyze-code schema
+function toHalsteadFields(h) {
+    return {
+        distinct_operators: h.distinctOperators,
+        distinct_operands: h.distinctOperands,
+        total_operators: h.totalOperators,
+        total_operands: h.totalOperands,
+        vocabulary: h.vocabulary,
+        length: h.length,
+        volume: h.volume,
+        difficulty: h.difficulty,
+        effort: h.effort,
+        bugs: h.bugs
+    };
+}
+
 app.post('/analyze-code', express.json(), (req, res) => {
     const { code, filename } = req.body;
 
     if (!code || !filename) {
         return res.status(400).json({ error: 'Request must include "code" and "filename"' });
     }
+    if (!checkFormat(req, res)) return;
 
+    let gateConfig;
     try {
-        const babelMetrics = calculateMetrics(code);
+        gateConfig = resolveConfig(req.body.config);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
 
-        let complexity_sum = 0;
-        let complexity_max = 0;
+    try {
+        const options = getAnalysisOptions(req);
+        const babelMetrics = cachedMetrics(code, { ...options, fileName: filename });
 
         const functions = babelMetrics.functions.map(f => {
-            const cc = f.CC;
-            complexity_sum += cc;
-            if (cc > complexity_max) {
-                complexity_max = cc;
-            }
             return {
-                cyclomatic_complexity: cc,
+                cyclomatic_complexity: f.cyclomatic_complexity,
+                cognitive_complexity: f.cognitive_complexity,
                 nloc: f.NLOC,
-                token_count: 0, // Not available from babel parser
+                token_count: f.tokenCount,
+                parameter_count: f.parameterCount,
                 name: f.name,
-                long_name: f.name, // Use name as long_name
+                long_name: f.longName,
                 start_line: f.lineStart,
-                end_line: 0, // Not available
-                max_nesting_depth: 0, // Not available
+                end_line: f.lineEnd,
+                max_nesting_depth: f.maxNestingDepth,
+                fan_in: f.fanIn,
+                fan_out: f.fanOut,
+                halstead: toHalsteadFields(f.halstead),
+                maintainability_index: f.maintainabilityIndex,
+                ...(f.increments ? { cognitive_increments: f.increments } : {}),
             };
         });
 
+        const violations = evaluateFile(filename, babelMetrics, gateConfig);
+
         const function_count = functions.length;
-        const complexity_avg = function_count > 0 ? parseFloat((complexity_sum / function_count).toFixed(2)) : 0.0;
+        const cyclomatic = babelMetrics.cyclomatic_complexity;
+        const cognitive = babelMetrics.cognitive_complexity;
 
         const responseMetrics = {
             filename: filename,
-            language: 'javascript', // Hardcode for this endpoint
+            language: babelMetrics.language,
             total_loc: babelMetrics.LOC,
             total_nloc: babelMetrics.NLOC,
+            partial: babelMetrics.partial,
+            diagnostics: babelMetrics.diagnostics,
             function_count: function_count,
-            complexity_avg: complexity_avg,
-            complexity_max: complexity_max,
+            // complexity_* follow lizard and refer to cyclomatic complexity
+            complexity_avg: cyclomatic.avg,
+            complexity_max: cyclomatic.max,
+            cyclomatic_complexity_sum: cyclomatic.sum,
+            cyclomatic_complexity_avg: cyclomatic.avg,
+            cyclomatic_complexity_max: cyclomatic.max,
+            cognitive_complexity_sum: cognitive.sum,
+            cognitive_complexity_avg: cognitive.avg,
+            cognitive_complexity_max: cognitive.max,
+            halstead: toHalsteadFields(babelMetrics.halstead),
+            maintainability_index: babelMetrics.maintainabilityIndex,
             functions: functions,
+            call_graph: babelMetrics.callGraph,
+            passed: violations.length === 0,
+            violations,
+            classes: babelMetrics.classes,
         };
 
-        res.json(responseMetrics);
+        sendReport(res, responseMetrics, options.format);
     } catch (error) {
         console.error(`Error analyzing code for ${filename}:`, error);
-        res.status(500).json({ error: `Failed to analyze code: ${error.message}` });
+        sendAnalysisError(res, error, `Failed to analyze code: ${error.message}`);
     }
 });
 
@@ -505,4 +1022,15 @@ if (require.main === module) {
         });
 }
 
-module.exports = { calculateMetrics };
\ No newline at end of file
+module.exports = {
+    calculateMetrics,
+    analyzeFileAt,
+    analyzeFilesInPool,
+    isCodeFile,
+    walkCodeFiles,
+    loadProjectConfig,
+    analyzeFiles,
+    analyzeProject,
+    compareSources,
+    formatReport
+};
@@ -0,0 +1,107 @@
+// Single-file components whose <script> blocks (and Astro frontmatter) are analyzed
+const SFC_EXTENSIONS = ['.vue', '.svelte', '.astro'];
+
+// Attribute values may contain '>' (e.g. Vue's generic="T extends Record<string, any>")
+const SCRIPT_BLOCK = /<script\b((?:[^>"']|"[^"]*"|'[^']*')*)>([\s\S]*?)<\/script\s*>/gi;
+const HTML_COMMENT = /<!--[\s\S]*?-->/g;
+const ASTRO_FRONTMATTER = /^(\s*---[^\S\r\n]*\r?\n)([\s\S]*?)\r?\n---/;
+
+// type= values that still mean JavaScript; anything else (JSON-LD, templates, import maps, ...) is skipped
+const SCRIPT_TYPES = new Set(['module', 'text/javascript', 'application/javascript', 'text/typescript', 'application/typescript']);
+
+function isSingleFileComponent(fileName) {
+    const lower = String(fileName ?? '').toLowerCase();
+    return SFC_EXTENSIONS.some(ext => lower.endsWith(ext));
+}
+
+function parseAttributes(text) {
+    const attributes = {};
+    for (const [, name, , value1, value2, value3] of text.matchAll(/([^\s=/]+)(\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g)) {
+        attributes[name.toLowerCase()] = value1 ?? value2 ?? value3 ?? '';
+    }
+    return attributes;
+}
+
+function lineAt(source, index) {
+    let line = 1;
+    for (let i = 0; i < index; i++) if (source[i] === '\n') line++;
+    return line;
+}
+
+// Same length and line breaks, no content
+function blank(text) {
+    return text.replace(/[^\r\n]/g, ' ');
+}
+
+/**
+ * The script content of a .vue, .svelte or .astro file, in place: everything outside the
+ * script blocks is blanked out with spaces (line breaks kept), so lines and columns in the
+ * returned code are lines and columns in the component. Blocks loaded with src=, and
+ * non-JavaScript types such as application/ld+json, are skipped.
+ * Each block is also returned as its own program (`programs`, in the same in-place form):
+ * Vue's <script> and <script setup>, for one, are separate modules that may import the same names.
+ * Returns { code, typescript, blocks: [{ kind, lang, lineStart, lineEnd }], programs: [{ code, typescript }] }.
+ */
+function extractScripts(source, fileName) {
+    const isAstro = fileName.toLowerCase().endsWith('.astro');
+    const ranges = [];
+    const blocks = [];
+
+    // Astro frontmatter is always TypeScript
+    const frontmatter = isAstro ? ASTRO_FRONTMATTER.exec(source) : null;
+    if (frontmatter) {
+        const start = frontmatter.index + frontmatter[1].length;
+        ranges.push([start, start + frontmatter[2].length, 'ts']);
+        blocks.push({ kind: 'frontmatter', lang: 'ts', lineStart: lineAt(source, start), lineEnd: lineAt(source, start + frontmatter[2].length) });
+    }
+
+    // Ignore <script> tags inside HTML comments
+    const searchable = source.replace(HTML_COMMENT, blank);
+    for (const match of searchable.matchAll(SCRIPT_BLOCK)) {
+        const attributes = parseAttributes(match[1]);
+        if (attributes.src !== undefined) continue;
+        if (attributes.type !== undefined && !SCRIPT_TYPES.has(attributes.type.toLowerCase())) continue;
+
+        const start = match.index + '<script'.length + match[1].length + 1;
+        const end = start + match[2].length;
+        if (frontmatter && start < ranges[0][1]) continue;
+
+        const lang = /^(ts|typescript)$/i.test(attributes.lang ?? '') || isAstro ? 'ts' : 'js';
+        ranges.push([start, end, lang]);
+        blocks.push({
+            kind: attributes.setup !== undefined ? 'setup' : (attributes.context === 'module' || attributes.module !== undefined ? 'module' : 'script'),
+            lang,
+            lineStart: lineAt(source, start),
+            lineEnd: lineAt(source, end)
+        });
+    }
+
+    // Source with only the given ranges left in place
+    function keep(kept) {
+        let code = '';
+        let position = 0;
+        for (const [start, end] of kept) {
+            code += blank(source.slice(position, start)) + source.slice(start, end);
+            position = end;
+        }
+        return code + blank(source.slice(position));
+    }
+
+    ranges.sort((a, b) => a[0] - b[0]);
+    const code = keep(ranges);
+    return {
+        code,
+        typescript: blocks.some(b => b.lang === 'ts'),
+        blocks,
+        // A component without scripts is one empty program
+        programs: ranges.length > 0
+            ? ranges.map(range => ({ code: keep([range]), typescript: range[2] === 'ts' }))
+            : [{ code, typescript: false }]
+    };
+}
+
+module.exports = {
+    SFC_EXTENSIONS,
+    isSingleFileComponent,
+    extractScripts
+};
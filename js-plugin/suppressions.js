@@ -0,0 +1,107 @@
+// Comment directives that exempt functions from quality gate thresholds:
+//   // complexity-ignore-next-line [-- reason]           functions starting on the next line
+//   /* complexity-disable [-- reason] */ ... /* complexity-enable */
+//                                                       functions starting in between
+//   /** @complexity-ignore <justification> */           the function or class documented
+// Suppressed functions keep their scores and are marked { suppressed: true, suppression }.
+const DIRECTIVE = /^\s*complexity-(ignore-next-line|disable|enable)(?![\w-])(.*)$/s;
+const JSDOC_TAG = /@complexity-ignore(?![\w-])([\s\S]*?)(?=\n\s*\*?\s*@|$)/;
+
+// "-- reason" or ": reason" after a directive; JSDoc line prefixes are dropped
+function reasonOf(text) {
+    const reason = text
+        .split('\n')
+        .map(line => line.replace(/^\s*\*\s?/, '').trim())
+        .join(' ')
+        .replace(/^(?:--|:)\s*/, '')
+        .trim();
+    return reason || null;
+}
+
+function isJsDoc(comment) {
+    return comment.type === 'CommentBlock' && comment.value.startsWith('*');
+}
+
+/**
+ * Suppression directives in a file's comments (Babel's ast.comments); `lines` are the source
+ * lines, used to find the line a JSDoc block documents. Returns
+ * { directives: [{ kind, line, reason, target } | { kind: 'disable', line, reason, lineEnd }],
+ *   errors: [{ line, column, message }] } where errors are directives that were not applied.
+ */
+function collectSuppressions(comments, lines) {
+    const directives = [];
+    const errors = [];
+    let open = null;
+
+    for (const comment of comments ?? []) {
+        const line = comment.loc.start.line;
+        const endLine = comment.loc.end.line;
+
+        if (isJsDoc(comment)) {
+            const tag = JSDOC_TAG.exec(comment.value);
+            if (!tag) continue;
+            const reason = reasonOf(tag[1]);
+            if (!reason) {
+                errors.push({ line, column: comment.loc.start.column, message: '@complexity-ignore needs a justification' });
+                continue;
+            }
+            // The first line with code after the comment
+            let target = endLine + 1;
+            while (target <= lines.length && !lines[target - 1].trim()) target++;
+            directives.push({ kind: 'jsdoc', line, reason, target });
+            continue;
+        }
+
+        const match = DIRECTIVE.exec(comment.value);
+        if (!match) continue;
+        const [, kind, rest] = match;
+
+        if (kind === 'ignore-next-line') {
+            directives.push({ kind, line, reason: reasonOf(rest), target: endLine + 1 });
+        } else if (kind === 'disable') {
+            if (open) continue; // Already disabled; the first reason stands
+            open = { kind, line, reason: reasonOf(rest), lineEnd: Infinity };
+            directives.push(open);
+        } else if (open) {
+            open.lineEnd = line;
+            open = null;
+        } else {
+            errors.push({ line, column: comment.loc.start.column, message: 'complexity-enable without a matching complexity-disable' });
+        }
+    }
+
+    return { directives, errors };
+}
+
+/**
+ * Mark the functions covered by `directives`. A directive aimed at a line covers the functions
+ * and classes starting there, along with everything nested inside them.
+ */
+function applySuppressions(functions, classes, directives) {
+    for (const fn of functions) fn.suppressed = false;
+
+    for (const directive of directives) {
+        let from;
+        let to;
+        if (directive.kind === 'disable') {
+            from = directive.line;
+            to = directive.lineEnd;
+        } else {
+            const anchors = [...functions, ...classes].filter(item => item.lineStart === directive.target);
+            if (anchors.length === 0) continue;
+            from = directive.target;
+            to = Math.max(...anchors.map(item => item.lineEnd));
+        }
+
+        for (const fn of functions) {
+            if (fn.suppressed || fn.lineStart < from || fn.lineStart > to) continue;
+            fn.suppressed = true;
+            fn.suppression = { kind: directive.kind, line: directive.line, reason: directive.reason };
+        }
+    }
+}
+
+module.exports = {
+    collectSuppressions,
+    applySuppressions
+};
@@ -1,5 +1,24 @@
-const { calculateMetrics } = require('./server');
+const { calculateMetrics, isCodeFile, analyzeFiles } = require('./server');
+const { buildProjectCallGraph } = require('./callgraph');
+const { buildDependencyGraph } = require('./depgraph');
+const { detectClones } = require('./clones');
+const { resolveConfig, evaluateFile } = require('./gate');
+const { toSarif, toCheckstyle } = require('./formats');
+const { renderHtmlReport } = require('./report');
+const { createJobStore } = require('./jobs');
+const { createResultCache } = require('./cache');
+const { functionHistory, uploadedGitDir, repositoryHead, readCommits } = require('./history');
+const { matchFunctions, compareAnalyses } = require('./compare');
+const { parsePatch, applyFilePatch, hunkTouches } = require('./patch');
+const { createBaseline, parseBaseline, applyBaseline, refreshBaseline } = require('./baseline');
+const { summarizeRun } = require('./runs');
+const { createWorkerPool } = require('./pool');
+const { parseIgnoreFile, matchIgnoreRules, detectGenerated, parseGlobList, checkGlobs } = require('./ignore');
 const assert = require('assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
 
 // Helper to check CC
 function checkCC(code, expectedCC, name = 'test') {
@@ -120,3 +139,1144 @@ checkCC(
     4, // 1 + 2 + 1 = 4
     'Mixed Nesting'
 );
+
+console.log('--- Verifying Cyclomatic Complexity ---');
+
+// Helper to check McCabe CC
+function checkCyclomatic(code, expected, name = 'test') {
+    const metrics = calculateMetrics(code);
+    const fn = metrics.functions[0];
+    if (!fn) {
+        console.error(`No function found in code: ${code}`);
+        return;
+    }
+    const actual = fn.cyclomatic_complexity;
+    if (actual === expected) {
+        console.log(`[PASS] ${name}: Expected ${expected}, got ${actual}`);
+    } else {
+        console.error(`[FAIL] ${name}: Expected ${expected}, got ${actual}`);
+        console.error(`Code:\n${code}`);
+    }
+}
+
+// 1. Straight-line code -> 1
+checkCyclomatic(
+    `function straight() {
+        return 1;
+    }`,
+    1,
+    'Straight Line'
+);
+
+// 2. if + else if + && -> 1 + 1 + 1 + 1 = 4
+checkCyclomatic(
+    `function branches() {
+        if (a && b) {
+        } else if (c) {
+        }
+    }`,
+    4,
+    'If / Else-If / And'
+);
+
+// 3. Switch: each non-default case -> 1 + 2 = 3
+checkCyclomatic(
+    `function cases() {
+        switch (x) {
+            case 1: break;
+            case 2: break;
+            default: break;
+        }
+    }`,
+    3,
+    'Switch Cases'
+);
+
+// 4. Nested function is not counted in the outer one -> 1
+checkCyclomatic(
+    `function outer() {
+        return items.map(i => i ? 1 : 2);
+    }`,
+    1,
+    'Nested Callback Excluded'
+);
+
+// 5. File-level rollup
+{
+    const metrics = calculateMetrics(`
+        function a() { if (x) {} }
+        function b() { for (;;) { if (y) {} } }
+    `);
+    const { sum, avg, max } = metrics.cyclomatic_complexity;
+    if (sum === 5 && avg === 2.5 && max === 3) {
+        console.log(`[PASS] File Rollup: sum ${sum}, avg ${avg}, max ${max}`);
+    } else {
+        console.error(`[FAIL] File Rollup: got sum ${sum}, avg ${avg}, max ${max}`);
+    }
+}
+
+console.log('--- Verifying Function Shape Metrics ---');
+
+{
+    const metrics = calculateMetrics(`function shape(a, b) {
+        // comments are not tokens
+        for (const x of a) {
+            if (x) {
+                return b;
+            }
+        }
+    }`);
+    const fn = metrics.functions[0];
+    const expected = { tokenCount: 27, parameterCount: 2, maxNestingDepth: 2, lineStart: 1, lineEnd: 8 };
+    for (const [key, value] of Object.entries(expected)) {
+        if (fn[key] === value) {
+            console.log(`[PASS] ${key}: Expected ${value}, got ${fn[key]}`);
+        } else {
+            console.error(`[FAIL] ${key}: Expected ${value}, got ${fn[key]}`);
+        }
+    }
+}
+
+console.log('--- Verifying Halstead / Maintainability Index ---');
+
+{
+    // Operators: function ( , { if > return ;   Operands: f a b
+    const metrics = calculateMetrics(`function f(a, b) { if (a > b) return a; return b; }`);
+    const { halstead, maintainabilityIndex } = metrics.functions[0];
+    const expected = { distinctOperators: 8, distinctOperands: 3, totalOperators: 11, totalOperands: 7, volume: 62.27 };
+    for (const [key, value] of Object.entries(expected)) {
+        if (halstead[key] === value) {
+            console.log(`[PASS] halstead.${key}: Expected ${value}, got ${halstead[key]}`);
+        } else {
+            console.error(`[FAIL] halstead.${key}: Expected ${value}, got ${halstead[key]}`);
+        }
+    }
+    if (maintainabilityIndex > 0 && maintainabilityIndex <= 100) {
+        console.log(`[PASS] maintainabilityIndex in range: ${maintainabilityIndex}`);
+    } else {
+        console.error(`[FAIL] maintainabilityIndex out of range: ${maintainabilityIndex}`);
+    }
+
+    // Each function counts only its own tokens, wherever it is in the file
+    const later = calculateMetrics(`function g(x) { return x * 2; }\nfunction f(a, b) { if (a > b) return a; return b; }`).functions[1].halstead;
+    if (JSON.stringify(later) === JSON.stringify(halstead)) {
+        console.log('[PASS] halstead of a later function');
+    } else {
+        console.error(`[FAIL] halstead of a later function: Expected ${JSON.stringify(halstead)}, got ${JSON.stringify(later)}`);
+    }
+}
+
+console.log('--- Verifying Explain Mode ---');
+
+// Helper to check the increment breakdown as "type:increment" pairs
+function checkIncrements(code, expected, name = 'test') {
+    const metrics = calculateMetrics(code, { explain: true });
+    const fn = metrics.functions[0];
+    const actual = fn.increments.map(i => `${i.type}:${i.increment}`);
+    const total = fn.increments.reduce((acc, i) => acc + i.increment, 0);
+    if (JSON.stringify(actual) === JSON.stringify(expected) && total === fn.CC) {
+        console.log(`[PASS] ${name}: ${actual.join(', ')}`);
+    } else {
+        console.error(`[FAIL] ${name}: Expected ${expected.join(', ')}, got ${actual.join(', ')} (CC ${fn.CC})`);
+        console.error(`Code:\n${code}`);
+    }
+}
+
+checkIncrements(
+    `function textMixed() {
+        if (x) {
+           if (y && z) {}
+        } else if (w) {
+        } else {
+           outer: for (;;) { break outer; }
+        }
+    }`,
+    ['if:1', 'if:2', 'logical sequence:1', 'else if:1', 'else:1', 'loop:2', 'labeled break:1'],
+    'Mixed Breakdown'
+);
+
+checkIncrements(
+    `function fact(n) {
+        return n <= 1 ? 1 : n * fact(n - 1);
+    }`,
+    ['ternary:1', 'recursion:1'],
+    'Recursion Breakdown'
+);
+
+{
+    const metrics = calculateMetrics(`function f() { if (x) {} }`);
+    if (metrics.functions[0].increments === undefined) {
+        console.log('[PASS] Increments omitted without explain');
+    } else {
+        console.error('[FAIL] Increments present without explain');
+    }
+}
+
+console.log('--- Verifying Call Graph Recursion ---');
+
+// Helper to check which functions are flagged recursive, by name
+function checkRecursive(code, expected, name = 'test') {
+    const metrics = calculateMetrics(code);
+    const actual = metrics.functions.filter(f => f.recursive).map(f => f.name);
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        console.log(`[PASS] ${name}: ${actual.join(', ') || '(none)'}`);
+    } else {
+        console.error(`[FAIL] ${name}: Expected ${expected.join(', ')}, got ${actual.join(', ')}`);
+    }
+}
+
+checkRecursive(
+    `function isEven(n) { return n === 0 || isOdd(n - 1); }
+     function isOdd(n) { return n !== 0 && isEven(n - 1); }
+     function helper() { return isEven(2); }`,
+    ['isEven', 'isOdd'],
+    'Mutual Recursion'
+);
+
+checkRecursive(
+    `class Tree {
+        walk(node) { node.children.forEach(c => this.visit(c)); }
+        visit(node) { if (node) this.visit(node.next); }
+    }`,
+    ['visit'],
+    'this.method Recursion'
+);
+
+checkCC(
+    `function ping(n) { if (n) pong(n - 1); }
+     function pong(n) { ping(n); }`,
+    2, // 1 (if) + 1 (recursion cycle)
+    'Indirect Recursion Increment'
+);
+
+console.log('--- Verifying Project Call Graph ---');
+
+{
+    // Imported names that are also Object.prototype members must not resolve to anything
+    const sources = {
+        'a.js': `const config = require('./config');
+            import { toString, constructor } from './util';
+            function check() { return config.hasOwnProperty('x') && toString() && constructor(); }
+            function run() { return config.load(); }`,
+        'config.js': 'function load() { return 1; }\nmodule.exports = { load };',
+        'util.js': 'export function helper() {}'
+    };
+    // Per-file graphs as they come back from workers and the result cache
+    const graph = buildProjectCallGraph(Object.entries(sources).map(([fileName, code]) => ({
+        fileName,
+        callGraph: JSON.parse(JSON.stringify(calculateMetrics(code).callGraph))
+    })));
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'callgraph-'));
+    let project;
+    try {
+        for (const [fileName, code] of Object.entries(sources)) fs.writeFileSync(path.join(directory, fileName), code);
+        project = analyzeFiles(Object.keys(sources).map(fileName => path.join(directory, fileName)), directory);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+
+    const checks = [
+        ['import resolved across files', graph.edges.some(e => e.from === 'a.js#run:4:12' && e.to === 'config.js#load:1:0')],
+        ['prototype names not resolved', !graph.edges.some(e => e.from.startsWith('a.js#check'))],
+        ['project analyzed', project.results.every(r => r.metrics)],
+        ['linked through linkProject', project.callGraph.edges.some(e => e.from === 'a.js#run:4:12' && e.to === 'config.js#load:1:0')]
+    ];
+    for (const [name, ok] of checks) {
+        if (ok) console.log(`[PASS] ${name}`);
+        else console.error(`[FAIL] ${name}`);
+    }
+}
+
+console.log('--- Verifying Qualified Names ---');
+
+{
+    const metrics = calculateMetrics(`
+class UserService {
+    login() { return fetchUser().then(r => r.json()); }
+    get email() { return this.#reset(); }
+    #reset() {}
+}
+export default function () {}
+module.exports.foo = function () {};
+obj.handler = () => {};
+`);
+    const expected = [
+        'UserService.login',
+        'UserService.login → then callback (line 3)',
+        'UserService.get email',
+        'UserService.#reset',
+        'default export',
+        'module.exports.foo',
+        'obj.handler'
+    ];
+    const actual = metrics.functions.map(f => f.longName);
+    expected.forEach((name, i) => {
+        if (actual[i] === name) {
+            console.log(`[PASS] longName: ${name}`);
+        } else {
+            console.error(`[FAIL] longName: Expected ${name}, got ${actual[i]}`);
+        }
+    });
+}
+
+console.log('--- Verifying Class Metrics ---');
+
+{
+    const metrics = calculateMetrics(`
+class Base { constructor() { this.a = 1; } }
+class Child extends Base {
+    b = 2;
+    getB() { if (this.b) return this.b; }
+    getAB() { return this.a + this.b; }
+    log() { console.log('x'); }
+}`);
+    const child = metrics.classes.find(c => c.name === 'Child');
+    // LCOM: getB/getAB share b; log shares nothing with either -> 2 disjoint - 1 shared = 1
+    const expected = { methods: 3, fields: 1, wmc: 4, dit: 1, lcom: 1 };
+    for (const [key, value] of Object.entries(expected)) {
+        if (child[key] === value) {
+            console.log(`[PASS] Child.${key}: Expected ${value}, got ${child[key]}`);
+        } else {
+            console.error(`[FAIL] Child.${key}: Expected ${value}, got ${child[key]}`);
+        }
+    }
+}
+
+console.log('--- Verifying Dependency Graph ---');
+
+{
+    const files = [
+        ['src/a.js', `import { b } from './b'; import _ from 'lodash';`],
+        ['src/b.js', `const a = require('./a.js');`],
+        ['src/c.js', `const lazy = () => import('./a');`]
+    ].map(([fileName, code]) => ({ fileName, imports: calculateMetrics(code).imports }));
+    const graph = buildDependencyGraph(files);
+    const a = graph.modules.find(m => m.file === 'src/a.js');
+
+    const checks = [
+        ['cycle a <-> b', JSON.stringify(graph.cycles) === JSON.stringify([['src/a.js', 'src/b.js']])],
+        ['a afferent coupling', a.afferentCoupling === 2],
+        ['a efferent coupling (b + lodash)', a.efferentCoupling === 2],
+        ['a instability', a.instability === 0.5],
+        ['dynamic import edge', graph.edges.some(e => e.from === 'src/c.js' && e.kinds.includes('dynamic'))]
+    ];
+    for (const [name, ok] of checks) {
+        if (ok) console.log(`[PASS] ${name}`);
+        else console.error(`[FAIL] ${name}`);
+    }
+}
+
+console.log('--- Verifying Clone Detection ---');
+
+{
+    const original = `function sumPrices(items) {
+    let total = 0;
+    for (const item of items) {
+        if (item.price > 0 && item.active) {
+            total += item.price * item.qty;
+        } else {
+            console.log('skip', item.id);
+        }
+    }
+    return total;
+}`;
+    // Same structure, every identifier and literal renamed
+    const renamed = original
+        .replace(/sumPrices/g, 'addCosts').replace(/items/g, 'rows').replace(/item/g, 'row')
+        .replace(/total/g, 'acc').replace(/'skip'/g, "'ignored'").replace(/0/g, '1');
+    const files = [['a.js', original], ['b.js', renamed], ['c.js', 'const unrelated = 1;']]
+        .map(([fileName, code]) => ({ fileName, tokenStream: calculateMetrics(code, { tokenStream: true }).tokenStream }));
+    const result = detectClones(files);
+    const invalid = [{ minTokens: 0, minLines: -1 }, { minTokens: -1, minLines: 0 }, { minTokens: 0.5, minLines: NaN }, { minTokens: 'x' }]
+        .map(options => detectClones(files, options));
+
+    const checks = [
+        ['one clone found', result.clones.length === 1],
+        ['clone spans both files', result.clones[0]?.first.file === 'a.js' && result.clones[0]?.second.file === 'b.js'],
+        ['clone lines', result.clones[0]?.lines === 11],
+        ['a.js fully duplicated', result.files[0].percentage === 100],
+        ['c.js not duplicated', result.files[2].percentage === 0],
+        ['invalid minimums use the defaults', invalid.every(r => JSON.stringify(r) === JSON.stringify(result))]
+    ];
+    for (const [name, ok] of checks) {
+        if (ok) console.log(`[PASS] ${name}`);
+        else console.error(`[FAIL] ${name}`);
+    }
+}
+
+console.log('--- Verifying Quality Gate ---');
+
+{
+    const code = `function deep(a, b, c) {
+        if (a) { if (b) { if (c) {} } }
+    }`;
+    const config = resolveConfig({
+        function: { cognitiveComplexity: 3, parameterCount: 2 },
+        overrides: [{ files: 'legacy/**', function: { cognitiveComplexity: null } }]
+    });
+    const strict = evaluateFile('src/deep.js', calculateMetrics(code), config).map(v => v.ruleId);
+    const legacy = evaluateFile('legacy/old/deep.js', calculateMetrics(code), config).map(v => v.ruleId);
+
+    let invalidRejected = false;
+    try {
+        resolveConfig('{"function": {"unknownMetric": 1}}');
+    } catch (error) {
+        invalidRejected = true;
+    }
+
+    const checks = [
+        ['violations reported', JSON.stringify(strict) === JSON.stringify(['function/cognitiveComplexity', 'function/parameterCount'])],
+        ['override disables a threshold', JSON.stringify(legacy) === JSON.stringify(['function/parameterCount'])],
+        ['unknown metric rejected', invalidRejected]
+    ];
+    for (const [name, ok] of checks) {
+        if (ok) console.log(`[PASS] ${name}`);
+        else console.error(`[FAIL] ${name}`);
+    }
+}
+
+console.log('--- Verifying SARIF / Checkstyle Output ---');
+
+{
+    const config = resolveConfig({ function: { cognitiveComplexity: 0 } });
+    const violations = evaluateFile('src/a&b.js', calculateMetrics(`function f() { if (x) {} }`), config);
+    const sarif = toSarif(violations);
+    const result = sarif.runs[0].results[0];
+    const xml = toCheckstyle(violations);
+
+    const checks = [
+        ['sarif version', sarif.version === '2.1.0'],
+        ['sarif rule id', result.ruleId === 'function/cognitiveComplexity'],
+        ['sarif rule index', sarif.runs[0].tool.driver.rules[result.ruleIndex].id === result.ruleId],
+        ['sarif region', result.locations[0].physicalLocation.region.startLine === 1],
+        ['checkstyle escapes file name', xml.includes('<file name="src/a&amp;b.js">')],
+        ['checkstyle source', xml.includes('source="js-plugin.function.cognitiveComplexity"')]
+    ];
+    for (const [name, ok] of checks) {
+        if (ok) console.log(`[PASS] ${name}`);
+        else console.error(`[FAIL] ${name}`);
+    }
+}
+
+console.log('--- Verifying Command Line ---');
+
+{
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+    const write = (fileName, code) => {
+        fs.mkdirSync(path.dirname(path.join(directory, fileName)), { recursive: true });
+        fs.writeFileSync(path.join(directory, fileName), code);
+    };
+    write('src/simple.js', 'function plain() { return 1; }\nfunction branch(a) { if (a) { return 1; } return a ? 2 : 3; }\nfunction loop(a) { for (const x of a) { if (x) return x; } }');
+    write('src/deep.js', 'function deep(a, b, c, d, e) { if (a) { if (b) { if (c) { if (d) { if (e) { return 1; } } } } } }');
+    write('lib/util.ts', 'export function typed(a: number): number { return a; }');
+    write('broken/bad.js', 'function (');
+    fs.mkdirSync(path.join(directory, 'docs'));
+
+    const cli = (...args) => spawnSync(process.execPath, [path.join(__dirname, 'cli.js'), ...args], { cwd: directory, encoding: 'utf8', timeout: 60000 });
+    const names = (run) => JSON.parse(run.stdout).functions.map(f => f.name);
+
+    let runs;
+    try {
+        runs = {
+            passing: cli('src/simple.js'),
+            failing: cli('src'),
+            broken: cli('src/simple.js', 'broken/bad.js'),
+            usage: cli('--sort', 'bogus'),
+            missing: cli('nowhere.js'),
+            sorted: cli('-f', 'json', '--sort', 'name', 'src/simple.js'),
+            top: cli('-f', 'json', '--top', '2', 'src'),
+            minCC: cli('-f', 'json', '--min-cc', '2', 'src'),
+            glob: cli('-f', 'json', '{src,lib}/**/*.ts'),
+            globJs: cli('-f', 'json', 'src/*.js'),
+            emptyGlob: cli('src/*.tsx'),
+            mistypedGlob: cli('sorc/**/*.js'),
+            emptyDirectory: cli('src', 'docs')
+        };
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+
+    const checks = [
+        ['exit 0 when the gate passes', runs.passing.status === 0 && /Quality gate: PASSED/.test(runs.passing.stdout)],
+        ['exit 1 on violations', runs.failing.status === 1 && /FAILED \(\d+ violations\)/.test(runs.failing.stdout)],
+        ['exit 1 when a file is not analyzed', runs.broken.status === 1 && /1 files not analyzed/.test(runs.broken.stdout) && /broken\/bad\.js/.test(runs.broken.stderr)],
+        ['exit 2 on usage errors', runs.usage.status === 2 && runs.missing.status === 2],
+        ['--sort name', JSON.stringify(names(runs.sorted)) === JSON.stringify(['branch', 'loop', 'plain'])],
+        ['--top after sorting', JSON.stringify(names(runs.top)) === JSON.stringify(['deep', 'loop'])],
+        ['--min-cc', JSON.stringify(names(runs.minCC)) === JSON.stringify(['deep', 'loop', 'branch'])],
+        ['glob with braces and **', JSON.stringify(names(runs.glob)) === JSON.stringify(['typed'])],
+        ['glob in one directory', names(runs.globJs).length === 4],
+        ['exit 2 when an input matches no files', [runs.emptyGlob, runs.mistypedGlob, runs.emptyDirectory].every(run => run.status === 2 && /no code files match/.test(run.stderr))],
+        ['CLI does not load the server', spawnSync(process.execPath, ['-e', `require(${JSON.stringify(path.join(__dirname, 'cli.js'))}); process.stdout.write(String(Object.keys(require.cache).some(f => f.endsWith('server.js'))))`], { encoding: 'utf8', timeout: 60000 }).stdout === 'false']
+    ];
+    for (const [name, ok] of checks) {
+        if (ok) console.log(`[PASS] ${name}`);
+        else console.error(`[FAIL] ${name}`);
+    }
+}
+
+console.log('--- Verifying HTML Report ---');
+
+{
+    const source = `function f(a) {\n    if (a) { return '</script>'; }\n}`;
+    const html = renderHtmlReport({
+        rootFolder: 'app',
+        results: [
+            { fileName: 'src/lib/f.js', metrics: calculateMetrics(source), source },
+            { fileName: 'src/g.js', metrics: calculateMetrics(`function g() {}`) },
+            { fileName: 'src/broken.js', error: 'Unexpected token' }
+        ],
+        passed: true,
+        violations: []
+    });
+    const data = JSON.parse(html.match(/<script type="application\/json" id="report-data">([\s\S]*?)<\/script>/)[1]);
+    const markup = '"><img src=x onerror=alert(1)>';
+    const crafted = renderHtmlReport({
+        results: [{ fileName: 'x.js', metrics: { NLOC: markup, cognitive_complexity: { sum: markup, max: markup }, functions: [
+            { name: 'x', cognitive_complexity: markup, cyclomatic_complexity: 1, lineStart: markup, lineEnd: markup }
+        ] } }],
+        duplication: { percentage: markup },
+        skipped: { length: markup },
+        passed: false,
+        violations: { length: markup }
+    });
+    const craftedData = JSON.parse(crafted.match(/<script type="application\/json" id="report-data">([\s\S]*?)<\/script>/)[1]);
+
+    const checks = [
+        ['one script block per element', html.split('</script>').length === 3],
+        ['function rows', data.functions.map(r => `${r.file}:${r.name}:${r.lineStart}-${r.lineEnd}`).join(',') === 'src/lib/f.js:f:1-3,src/g.js:g:1-1'],
+        ['sources embedded', data.sources['src/lib/f.js'] === source && !('src/g.js' in data.sources)],
+        ['directory rollup', html.includes('<span class="n">src</span><span class="m">2 files</span><span class="m">2 fn</span>')],
+        ['parse errors counted', html.includes('1 files failed to parse')],
+        ['posted numbers cannot inject markup', !crafted.includes('<img') && craftedData.functions[0].lineStart === null]
+    ];
+    for (const [name, ok] of checks) {
+        if (ok) console.log(`[PASS] ${name}`);
+        else console.error(`[FAIL] ${name}`);
+    }
+}
+
+console.log('--- Verifying Analysis Jobs ---');
+
+{
+    const store = createJobStore();
+    const job = store.create();
+    const events = [];
+    job.events.on('event', (event) => events.push(event));
+
+    store.start(job, 3);
+    for (const name of ['a.js', 'b.js', 'c.js']) {
+        store.addResult(job, { fileName: name, metrics: { functions: [], tokenStream: [{ value: 'ID' }] } });
+    }
+    const running = store.results(job, 1, 1);
+    store.complete(job, { results: job.results, passed: true, violations: [] });
+
+    const cancelled = store.create();
+    store.cancel(cancelled);
+
+    const checks = [
+        ['progress counted', store.status(job).filesDone === 3 && store.status(job).totalFiles === 3],
+        ['paged results', running.total === 3 && running.results.length === 1 && running.results[0].fileName === 'b.js'],
+        ['token streams left out of pages', !('tokenStream' in running.results[0].metrics)],
+        ['not complete while running', running.complete === false && store.results(job).complete === true],
+        ['events', events.join(',') === 'status,progress,progress,progress,status,end'],
+        ['cancel flag', store.isCancelled(cancelled) && !store.cancel(job)],
+        ['unknown job', store.get('missing') === null]
+    ];
+    for (const [name, ok] of checks) {
+        if (ok) console.log(`[PASS] ${name}`);
+        else console.error(`[FAIL] ${name}`);
+    }
+}
+
+console.log('--- Verifying Result Cache ---');
+
+{
+    const cache = createResultCache({ version: 'v1', maxEntries: 2 });
+    const [a, b, c] = ['a', 'b', 'c'].map(code => cache.key(code));
+    cache.set(a, { functions: [1] });
+    cache.set(b, { functions: [2] });
+    cache.get(a); // a is now the most recently used
+    cache.set(c, { functions: [3] });
+
+    const copy = cache.get(a);
+    copy.functions.push(99);
+
+    let invalidSize = false;
+    try {
+        createResultCache({ version: 'v1', maxEntries: NaN });
+    } catch (error) {
+        invalidSize = true;
+    }
+
+    const checks = [
+        ['least recently used evicted', cache.get(b) === undefined && cache.get(c) !== undefined],
+        ['values are copies', cache.get(a).functions.length === 1],
+        ['options in key', cache.key('a', { explain: true }) !== a],
+        ['version in key', createResultCache({ version: 'v2' }).key('a') !== a],
+        ['hit/miss stats', cache.stats().hits === 4 && cache.stats().misses === 1],
+        ['clear', cache.clear() === 2 && cache.stats().entries === 0],
+        ['invalid size rejected', invalidSize]
+    ];
+    for (const [name, ok] of checks) {
+        if (ok) console.log(`[PASS] ${name}`);
+        else console.error(`[FAIL] ${name}`);
+    }
+}
+
+{
+    // On-disk store in a folder shared with other data
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-'));
+    try {
+        fs.writeFileSync(path.join(directory, 'notes.txt'), 'keep');
+        fs.mkdirSync(path.join(directory, 'ab'));
+        fs.writeFileSync(path.join(directory, 'ab', 'other.json'), '{}');
+
+        const disk = createResultCache({ version: 'v1', directory, maxDiskEntries: 2 });
+        const [a, b, c] = ['a', 'b', 'c'].map(code => disk.key(code));
+        disk.set(a, { functions: [1] });
+        disk.set(b, { functions: [2] });
+        const reopened = createResultCache({ version: 'v1', directory, maxDiskEntries: 2 });
+        reopened.get(a); // a is now the most recently used on disk
+        reopened.set(c, { functions: [3] });
+        const onDisk = (key) => fs.existsSync(path.join(directory, key.slice(0, 2), `${key}.json`));
+        const bounded = onDisk(a) && !onDisk(b) && onDisk(c) && reopened.stats().diskEntries === 2;
+        const shared = createResultCache({ version: 'v1', directory, maxEntries: 0 });
+        const reloaded = shared.get(c)?.functions[0] === 3;
+        shared.clear();
+
+        const checks = [
+            ['disk entries bounded, least recently used evicted', bounded],
+            ['disk entries survive restarts', reloaded],
+            ['clear removes only cache entries', !onDisk(a) && !onDisk(c) &&
+                fs.existsSync(path.join(directory, 'notes.txt')) && fs.existsSync(path.join(directory, 'ab', 'other.json'))]
+        ];
+        for (const [name, ok] of checks) {
+            if (ok) console.log(`[PASS] ${name}`);
+            else console.error(`[FAIL] ${name}`);
+        }
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+console.log('--- Verifying File Types ---');
+
+{
+    const vue = [
+        '<template><div @click="toggle" /></template>',
+        '<!-- <script>function commented() {}</script> -->',
+        '<script setup lang="ts" generic="T extends Record<string, any>">',
+        'function toggle(open: boolean) {',
+        '    if (open) return;',
+        '}',
+        '</script>',
+        '<script type="application/ld+json">{ "a": 1 }</script>'
+    ].join('\n');
+    const component = calculateMetrics(vue, { fileName: 'Comp.vue' });
+    // Vue 3's <script> plus <script setup>: two modules, both importing from 'vue'
+    const twoBlocks = calculateMetrics([
+        '<script>',
+        "import { ref } from 'vue';",
+        'export default { name: "Counter" };',
+        'function shared(a) { return a ? ref(1) : ref(2); }',
+        '</script>',
+        '<script setup>',
+        "import { ref } from 'vue';",
+        'const count = ref(0);',
+        'function increment() {',
+        '    if (count.value < 10) count.value++;',
+        '}',
+        '</script>',
+        '<template><button @click="increment">{{ count }}</button></template>'
+    ].join('\n'), { fileName: 'Counter.vue' });
+    const astro = calculateMetrics('---\nconst t: string = Astro.props.t;\nfunction f() { return t ? 1 : 0; }\n---\n<h1>{f()}</h1>', { fileName: 'Page.astro' });
+    const flow = calculateMetrics('// @flow\ntype P = {| a: ?number |};\nfunction f(p: P) { return p.a; }', { fileName: 'f.js' });
+    const decorated = calculateMetrics('class A { constructor(@Inject(T) private s: S) {} m() { return <number>this.s; } }', { fileName: 'a.ts' });
+    const standard = calculateMetrics('export @dec class B { @tracked x = 1; }', { fileName: 'b.mjs' });
+
+    const checks = [
+        ['module-flavoured extensions', ['a.mjs', 'a.cjs', 'a.mts', 'a.cts', 'A.vue', 'A.svelte', 'A.astro'].every(isCodeFile) && !isCodeFile('a.json')],
+        ['vue script lines mapped', component.functions.map(f => `${f.name}:${f.lineStart}-${f.lineEnd}`).join(',') === 'toggle:4-6'],
+        ['vue language and blocks', component.language === 'vue' && component.scriptBlocks.length === 1 && component.LOC === 8],
+        ['vue script and script setup', !twoBlocks.partial && twoBlocks.diagnostics.length === 0 && twoBlocks.scriptBlocks.length === 2 &&
+            twoBlocks.functions.map(f => `${f.name}:${f.lineStart}-${f.lineEnd}`).join(',') === 'shared:4-4,increment:9-11' &&
+            twoBlocks.imports.length === 2],
+        ['astro frontmatter', astro.functions.length === 1 && astro.functions[0].lineStart === 3],
+        ['flow syntax', flow.language === 'flow' && flow.functions.length === 1],
+        ['legacy decorators and casts in .ts', decorated.language === 'typescript' && decorated.functions.length === 2],
+        ['decorators after export', standard.classes.length === 1]
+    ];
+    for (const [name, ok] of checks) {
+        if (ok) console.log(`[PASS] ${name}`);
+        else console.error(`[FAIL] ${name}`);
+    }
+}
+
+console.log('--- Verifying Tolerant Parsing ---');
+
+{
+    const broken = [
+        'function good(x) {',
+        '    if (x) return 1;',
+        '}',
+        'function broken(x) {',
+        '    if (x {',
+        '        return 2;',
+        '    }',
+        '}',
+        'let dup = 1;',
+        'let dup = 2;',
+        'function alsoGood(list) {',
+        '    for (const item of list) if (item) return item;',
+        '}'
+    ].join('\n');
+    const partial = calculateMetrics(broken, { fileName: 'broken.js' });
+    const clean = calculateMetrics('function ok() { return 1; }', { fileName: 'ok.js' });
+    let failure = null;
+    try {
+        calculateMetrics('function (', { fileName: 'hopeless.js' });
+    } catch (error) {
+        failure = error;
+    }
+
+    const checks = [
+        ['clean file not partial', clean.partial === false && clean.diagnostics.length === 0],
+        ['functions around the error kept', ['good', 'alsoGood'].every(name => partial.functions.some(f => f.name === name))],
+        ['partial flag and skipped lines', partial.partial === true && partial.skippedLines.includes(5)],
+        ['diagnostic location', partial.diagnostics[0].line === 5 && partial.diagnostics[0].column === 10],
+        ['diagnostic frame', partial.diagnostics[0].frame.includes('> 5 |     if (x {')],
+        ['redeclaration reported', partial.diagnostics.some(d => d.reason === 'VarRedeclaration' && d.line === 10)],
+        ['unrecoverable file fails with diagnostics', failure !== null && failure.diagnostics.length === 1 && failure.diagnostics[0].line === 1]
+    ];
+    for (const [name, ok] of checks) {
+        if (ok) console.log(`[PASS] ${name}`);
+        else console.error(`[FAIL] ${name}`);
+    }
+}
+
+console.log('--- Verifying Ignore Rules ---');
+
+{
+    const rules = [
+        ...parseIgnoreFile('# comment\n*.log.js\n/generated/\n!keep.log.js\n', '', '.gitignore'),
+        ...parseIgnoreFile('fixtures/\n', 'src', '.complexityignore')
+    ];
+    const ignored = (relativePath, isDirectory = false) => {
+        const rule = matchIgnoreRules(rules, relativePath, isDirectory);
+        return rule !== null && !rule.negated;
+    };
+    const minified = `var a=${'1+'.repeat(400)}1;`;
+
+    const checks = [
+        ['unanchored pattern at any depth', ignored('a/b/trace.log.js') && !ignored('a/b/trace.js')],
+        ['negation re-includes', !ignored('keep.log.js')],
+        ['anchored directory', ignored('generated', true) && !ignored('src/generated', true) && !ignored('generated')],
+        ['rules scoped to their directory', ignored('src/fixtures', true) && !ignored('fixtures', true)],
+        ['@generated header', detectGenerated('/* @generated */\nexport const a = 1;')?.reason === 'generated'],
+        ['source map comment', detectGenerated('a();\n//# sourceMappingURL=a.js.map')?.reason === 'source-map'],
+        ['minified by line length', detectGenerated(minified)?.reason === 'minified'],
+        ['minified by name', detectGenerated('a();', 'lib.min.js')?.reason === 'minified'],
+        ['hand-written code kept', detectGenerated('function f() {\n    return 1;\n}\n', 'f.js') === null],
+        ['glob list keeps braces', parseGlobList('src/**/*.{js,ts},test/**').length === 2],
+        ['include and exclude', checkGlobs('src/a.test.js', { include: ['src/**'], exclude: ['*.test.js'] }) === 'exclude'
+            && checkGlobs('lib/a.js', { include: ['src/**'] }) === 'include'
+            && checkGlobs('src/a.js', { include: ['src/**'] }) === null]
+    ];
+    for (const [name, ok] of checks) {
+        if (ok) console.log(`[PASS] ${name}`);
+        else console.error(`[FAIL] ${name}`);
+    }
+}
+
+console.log('--- Verifying Suppression Comments ---');
+
+{
+    const nested = 'if (a) { if (b) { if (c) { if (d) { if (e) { return 1; } } } } }';
+    const code = [
+        '// complexity-ignore-next-line -- generated lookup',
+        `function ignored(a, b, c, d, e) { ${nested} }`,
+        '/**',
+        ' * @complexity-ignore Parser state machine,',
+        ' *   kept in one piece on purpose',
+        ' * @param {string} a',
+        ' */',
+        `function documented(a, b, c, d, e) { ${nested} }`,
+        '/** @complexity-ignore */',
+        `function unjustified(a, b, c, d, e) { ${nested} }`,
+        '/* complexity-disable */',
+        `const inRange = (a, b, c, d, e) => { ${nested} };`,
+        '/* complexity-enable */',
+        `function checked(a, b, c, d, e) { ${nested} }`
+    ].join('\n');
+    const metrics = calculateMetrics(code, { fileName: 'suppressed.js' });
+    const byName = Object.fromEntries(metrics.functions.map(f => [f.name, f]));
+    const violations = evaluateFile('suppressed.js', metrics, resolveConfig({ function: { cognitiveComplexity: 5 } }));
+    const failing = [...new Set(violations.map(v => v.name))];
+
+    const checks = [
+        ['ignore-next-line', byName.ignored.suppressed && byName.ignored.suppression.reason === 'generated lookup'],
+        ['raw score kept', byName.ignored.cognitive_complexity === byName.checked.cognitive_complexity],
+        ['jsdoc justification', byName.documented.suppression?.reason === 'Parser state machine, kept in one piece on purpose'],
+        ['jsdoc without justification not applied', !byName.unjustified.suppressed
+            && metrics.diagnostics.some(d => d.reason === 'InvalidSuppression' && d.line === 9)],
+        ['disable/enable range', byName.inRange.suppressed && !byName.checked.suppressed],
+        ['gate skips suppressed functions', failing.join(',') === 'unjustified,checked']
+    ];
+    for (const [name, ok] of checks) {
+        if (ok) console.log(`[PASS] ${name}`);
+        else console.error(`[FAIL] ${name}`);
+    }
+}
+
+console.log('--- Verifying Change History ---');
+
+{
+    const day = 24 * 60 * 60 * 1000;
+    const commit = (author, daysAgo) => ({ author, email: `${author}@example.com`, time: Date.now() - daysAgo * day });
+    const hunk = (oldStart, oldLines, newStart, newLines) => ({ oldStart, oldLines, newStart, newLines });
+    // Newest first. The function is at lines 10-20 now; two lines were inserted above it last,
+    // before that its body was edited, and it was added with the file.
+    const changes = [
+        { commit: commit('alice', 1), change: { created: false, hunks: [hunk(2, 0, 3, 2)] } },
+        { commit: commit('bob', 30), change: { created: false, hunks: [hunk(12, 1, 12, 3)] } },
+        { commit: commit('carol', 400), change: { created: false, hunks: [hunk(1, 0, 1, 25)] } }
+    ];
+    const history = functionHistory(changes, 10, 20, Date.now() - 90 * day);
+    const outside = functionHistory(changes, 40, 45, Date.now() - 90 * day);
+    const added = functionHistory([{ commit: commit('dave', 2), change: { created: false, hunks: [hunk(4, 0, 5, 8), hunk(9, 1, 17, 1)] } },
+        { commit: commit('erin', 3), change: { created: false, hunks: [hunk(4, 1, 4, 1)] } }], 5, 12, 0);
+
+    const checks = [
+        ['shifted lines are not a change', history.commits === 2],
+        ['authors of the function', history.authors === 2],
+        ['recent changes', history.recentCommits === 1 && history.recentChurn === 4],
+        ['untouched range', outside.commits === 0 && outside.lastChanged === null],
+        ['history stops where the function was added', added.commits === 1 && added.authors === 1]
+    ];
+    for (const [name, ok] of checks) {
+        if (ok) console.log(`[PASS] ${name}`);
+        else console.error(`[FAIL] ${name}`);
+    }
+}
+
+console.log('--- Verifying Version Comparison ---');
+
+{
+    const base = [
+        'function handleSubmit(form) {',
+        '    if (form.valid) return true;',
+        '    return false;',
+        '}',
+        'function removed() { return 1; }',
+        'const doubled = [1, 2].map(x => x * 2);'
+    ].join('\n');
+    const head = [
+        '// header moves everything down',
+        'function handleSubmit(form) {',
+        '    if (form.valid) {',
+        '        for (const field of form.fields) {',
+        '            if (field.dirty && field.touched) return false;',
+        '        }',
+        '        return true;',
+        '    }',
+        '    return false;',
+        '}',
+        'function added(a) { return a ? 1 : 2; }',
+        'const doubled = [1, 2].map(x => x * 2);'
+    ].join('\n');
+    const comparison = compareAnalyses(
+        [{ fileName: 'form.js', metrics: calculateMetrics(base) }, { fileName: 'old.js', metrics: calculateMetrics('function o() {}') }],
+        [{ fileName: 'form.js', metrics: calculateMetrics(head) }, { fileName: 'broken.js', error: 'Unexpected token' }]
+    );
+    const form = comparison.files.find(f => f.fileName === 'form.js');
+    const status = Object.fromEntries(form.functions.map(f => [f.name, f.status]));
+    const submit = form.functions.find(f => f.name === 'handleSubmit');
+    const twins = matchFunctions(
+        [{ name: 'cb', longName: 'anonymous (line 3)', lineStart: 3 }, { name: 'cb', longName: 'anonymous (line 9)', lineStart: 9 }],
+        [{ name: 'cb', longName: 'anonymous (line 12)', lineStart: 12 }]
+    );
+
+    const checks = [
+        ['added, removed and changed', status.added === 'added' && status.removed === 'removed' && status.handleSubmit === 'changed'],
+        ['moved callback matched', form.unchangedFunctions === 1],
+        ['before/after values', submit.base.cognitive === 1 && submit.head.cognitive === 7 && submit.delta.cognitive === 6 && submit.delta.nesting === 2],
+        ['worst first', form.functions[0].name === 'handleSubmit'],
+        ['removed file', comparison.files.some(f => f.fileName === 'old.js' && f.status === 'removed')],
+        ['failed file left out', comparison.failed.length === 1 && comparison.failed[0].fileName === 'broken.js'],
+        ['project totals', comparison.summary.delta.cognitive === 7 && comparison.summary.functions.worse === 2],
+        ['same name paired by position', twins.some(([b, h]) => b?.lineStart === 9 && h?.lineStart === 12)]
+    ];
+    for (const [name, ok] of checks) {
+        if (ok) console.log(`[PASS] ${name}`);
+        else console.error(`[FAIL] ${name}`);
+    }
+}
+
+console.log('--- Verifying Patches ---');
+
+{
+    const base = ['// one', 'function a() {', '    return 1;', '}', '', 'function b() {', '    return 2;', '}'].join('\n') + '\n';
+    const diff = [
+        'diff --git a/src/x.js b/src/x.js',
+        'index 1111111..2222222 100644',
+        '--- a/src/x.js',
+        '+++ b/src/x.js',
+        '@@ -6,3 +6,4 @@',
+        ' function b() {',
+        '-    return 2;',
+        '+    if (flag) return 3;',
+        '+    return 2;',
+        ' }',
+        'diff --git a/src/new.js b/src/new.js',
+        'new file mode 100644',
+        '--- /dev/null',
+        '+++ b/src/new.js',
+        '@@ -0,0 +1 @@',
+        '+export const n = 1;',
+        '\\ No newline at end of file'
+    ].join('\n');
+    const [changed, created] = parsePatch(diff);
+    const applied = applyFilePatch(base, changed);
+    // The same hunk still applies after two lines were added above it
+    const shifted = applyFilePatch(`// two\n// three\n${base}`, changed);
+    let mismatch = null;
+    try {
+        applyFilePatch(base.replace('return 2', 'return 5'), changed);
+    } catch (error) {
+        mismatch = error;
+    }
+    let stray = null;
+    try {
+        parsePatch('--- a/x.js\n+++ b/x.js\n@@ -0,0 +0,0 @@\n\\ No newline at end of file\n');
+    } catch (error) {
+        stray = error;
+    }
+
+    const checks = [
+        ['paths without a/ and b/', changed.oldPath === 'src/x.js' && changed.newPath === 'src/x.js'],
+        ['new file', created.created && created.oldPath === null && created.newPath === 'src/new.js'],
+        ['patched content', applied.content.includes('    if (flag) return 3;\n    return 2;\n}\n')],
+        ['no newline at end of file', applyFilePatch('', created).content === 'export const n = 1;'],
+        ['hunk applied with offset', shifted.hunks[0].newStart === 8 && shifted.content.startsWith('// two')],
+        ['context mismatch rejected', mismatch !== null && /does not apply/.test(mismatch.message)],
+        ['no-newline marker without a line rejected', stray !== null && /Malformed hunk/.test(stray.message)],
+        ['no-newline marker first in a hunk ignored', applyFilePatch('a\n', { oldPath: 'x.js', hunks: [{ oldStart: 1, oldLines: 0, newStart: 1, newLines: 0, lines: ['\\'] }] }).content === 'a\n'],
+        ['touches function b only', hunkTouches(applied.hunks[0], 'new', 6, 9) && !hunkTouches(applied.hunks[0], 'new', 2, 4)],
+        ['deletion inside a range', hunkTouches({ oldStart: 3, oldLines: 2, newStart: 2, newLines: 0 }, 'new', 1, 4)]
+    ];
+    for (const [name, ok] of checks) {
+        if (ok) console.log(`[PASS] ${name}`);
+        else console.error(`[FAIL] ${name}`);
+    }
+}
+
+console.log('--- Verifying Baselines ---');
+
+{
+    const legacy = `function legacy(a, b, c, d) {
+        if (a) { if (b) { if (c) { if (d) { return 1; } } } }
+        return 0;
+    }`;
+    const other = (extra) => `function other(a, b) {
+        if (a) { if (b) { return 1; } }${extra}
+        return 0;
+    }`;
+    const config = resolveConfig({ function: { cognitiveComplexity: 3, maxNestingDepth: 3 } });
+    const analyze = files => {
+        const results = Object.entries(files).map(([fileName, code]) => ({ fileName, metrics: calculateMetrics(code) }));
+        const violations = results.flatMap(r => evaluateFile(r.fileName, r.metrics, config));
+        return { results, violations };
+    };
+
+    const before = analyze({ 'lib/old.js': `${legacy}\n${other('')}` });
+    const baseline = createBaseline(before);
+    // The file is renamed, legacy moves down, other gets worse and fresh is new
+    const after = analyze({ 'lib/new.js': `// moved\n\n${legacy}\n${other('\n        if (a || b) { return 2; }')}\nfunction fresh(a) { if (a) { if (a) { if (a) { return 1; } } } }` });
+    const applied = applyBaseline(after.violations, after.results, baseline);
+    const marks = Object.fromEntries(applied.violations.map(v => [`${v.name}/${v.metric}`, v.baseline]));
+    const unchanged = applyBaseline(before.violations, before.results, baseline);
+    const ratcheted = refreshBaseline(baseline, after, { ratchet: true });
+
+    const fingerprint = code => calculateMetrics(code).functions[0].fingerprint;
+    let huge;
+    try {
+        huge = fingerprint(`function huge() {\n${'    x++;\n'.repeat(100000)}}`);
+    } catch (error) {
+        huge = error;
+    }
+
+    const invalid = ['not json', '{"version": 1}', '{"version": 99, "files": {}}'].filter(text => {
+        try {
+            parseBaseline(text);
+            return false;
+        } catch (error) {
+            return error.message.startsWith('Invalid baseline');
+        }
+    });
+
+    const checks = [
+        ['unchanged project has no violations', unchanged.violations.length === 0 && unchanged.summary.known === before.violations.length],
+        ['moved function matched by fingerprint', !Object.keys(marks).some(key => key.startsWith('legacy/'))],
+        ['worse function kept', marks['other/cognitiveComplexity'] === 'worse'],
+        ['new function kept', marks['fresh/cognitiveComplexity'] === 'new'],
+        ['previous value reported', applied.violations.find(v => v.name === 'other').baselineValue === 3],
+        ['ratchet keeps known subjects only', JSON.stringify(Object.keys(ratcheted.files['lib/new.js'].functions).sort()) === '["legacy","other"]'],
+        ['ratchet keeps the better value', ratcheted.files['lib/new.js'].functions.other[0].values.cognitiveComplexity === 3],
+        ['invalid baselines rejected', invalid.length === 3],
+        ['regular expressions fingerprinted by pattern and flags', fingerprint('function f(s) { return /a/.test(s); }') !== fingerprint('function f(s) { return /b/.test(s); }')
+            && fingerprint('function f(s) { return /a/.test(s); }') !== fingerprint('function f(s) { return /a/i.test(s); }')],
+        ['huge function fingerprinted', typeof huge === 'string' && huge.length === 16]
+    ];
+    for (const [name, ok] of checks) {
+        if (ok) console.log(`[PASS] ${name}`);
+        else console.error(`[FAIL] ${name}`);
+    }
+}
+
+console.log('--- Verifying Run History ---');
+
+{
+    const code = `function simple() { return 1; }
+    function branchy(a, b) {
+        if (a) { if (b) { return 1; } }
+        return a && b ? 2 : 3;
+    }`;
+    const summary = summarizeRun({
+        results: [
+            { fileName: 'src/a.js', metrics: calculateMetrics(code) },
+            { fileName: 'src/b.js', metrics: calculateMetrics('function one(x) { return x ? 1 : 2; }') },
+            { fileName: 'src/broken.js', error: 'Unexpected token' }
+        ],
+        passed: false,
+        violations: [{ ruleId: 'function/cognitiveComplexity' }]
+    }, 2);
+    const a = summary.fileSummaries.find(f => f.fileName === 'src/a.js');
+
+    const checks = [
+        ['failed files left out', summary.files === 2 && !summary.fileSummaries.some(f => f.fileName === 'src/broken.js')],
+        ['project totals', summary.functions === 3 && summary.cyclomatic.total === 1 + 5 + 2 && summary.cyclomatic.average === 2.67],
+        ['file totals', a.functions === 2 && a.cognitive.total === 5 && a.cognitive.average === 2.5 && a.nloc === 5],
+        ['project NLOC sums files', summary.nloc === 6],
+        ['worst functions first, limited', summary.worstFunctions.length === 2 && summary.worstFunctions[0].name === 'branchy' && summary.worstFunctions[0].fileName === 'src/a.js'],
+        ['gate outcome kept', summary.passed === false && summary.violations === 1]
+    ];
+    for (const [name, ok] of checks) {
+        if (ok) console.log(`[PASS] ${name}`);
+        else console.error(`[FAIL] ${name}`);
+    }
+}
+
+console.log('--- Verifying Worker Pool ---');
+
+const workerPoolChecks = (async () => {
+    // A worker that answers value * 2, reports an error, spins forever or allocates until its heap limit
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pool-'));
+    const workerFile = path.join(directory, 'worker.js');
+    fs.writeFileSync(workerFile, `const { parentPort } = require('node:worker_threads');
+parentPort.on('message', ({ id, task }) => {
+    if (task.hang) for (;;);
+    if (task.grow) { const hog = []; for (;;) hog.push(new Array(100000).fill(task.grow)); }
+    if (task.fail) parentPort.postMessage({ id, error: task.fail });
+    else parentPort.postMessage({ id, result: task.value * 2 });
+});
+parentPort.postMessage({ ready: true });`);
+    fs.writeFileSync(path.join(directory, 'f.js'), 'function f(a) { if (a) { return 1; } }');
+
+    const settle = (promise) => promise.then(value => ({ value }), error => ({ error: error.message }));
+    const pools = [];
+    const poolOf = (file, options) => {
+        const pool = createWorkerPool(file, options);
+        pools.push(pool);
+        return pool;
+    };
+
+    try {
+        const timed = poolOf(workerFile, { size: 2, timeout: 500 });
+        const timeout = await Promise.all([{ hang: true }, { value: 1 }, { value: 2 }, { value: 3 }].map(task => settle(timed.run(task))));
+
+        const limited = poolOf(workerFile, { size: 1, timeout: 20000, maxMemoryMb: 16 });
+        const memory = await Promise.all([{ grow: 1 }, { value: 5 }].map(task => settle(limited.run(task))));
+
+        const failing = poolOf(workerFile, { size: 1 });
+        const errors = await Promise.all([{ fail: 'bad input' }, { value: 4 }].map(task => settle(failing.run(task))));
+        await failing.destroy();
+        const destroyed = await settle(failing.run({ value: 1 }));
+
+        const real = poolOf(path.join(__dirname, 'worker.js'), { size: 1 });
+        const analyzed = await real.run({ filePath: path.join(directory, 'f.js'), rootPath: directory, options: {} });
+
+        const checks = [
+            ['timed out task fails by itself', /Timed out after 500 ms/.test(timeout[0].error) && timeout.slice(1).map(r => r.value).join(',') === '2,4,6'],
+            ['memory limit retires the worker', /memory/i.test(memory[0].error ?? '') && memory[1].value === 10],
+            ['task errors keep the worker', errors[0].error === 'bad input' && errors[1].value === 8],
+            ['destroyed pool rejects tasks', /destroyed/.test(destroyed.error ?? '')],
+            ['worker.js analyzes a file', analyzed.fileName === 'f.js' && analyzed.metrics.functions[0].cognitive_complexity === 1]
+        ];
+        for (const [name, ok] of checks) {
+            if (ok) console.log(`[PASS] ${name}`);
+            else console.error(`[FAIL] ${name}`);
+        }
+    } finally {
+        await Promise.all(pools.map(pool => pool.destroy()));
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+})();
+
+workerPoolChecks.then(async () => {
+    console.log('--- Verifying Uploaded Repositories ---');
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-'));
+    const gitEnvironment = { ...process.env, GIT_AUTHOR_NAME: 'a', GIT_AUTHOR_EMAIL: 'a@example.com', GIT_COMMITTER_NAME: 'a', GIT_COMMITTER_EMAIL: 'a@example.com' };
+    const repository = (name) => {
+        const root = path.join(directory, name);
+        fs.mkdirSync(root);
+        fs.writeFileSync(path.join(root, 'f.js'), 'function f(a) { if (a) { return 1; } }');
+        for (const args of [['init', '-q'], ['add', '.'], ['commit', '-qm', name]]) spawnSync('git', args, { cwd: root, env: gitEnvironment });
+        return root;
+    };
+    const rejection = (root) => {
+        try {
+            uploadedGitDir(root);
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    };
+
+    try {
+        // A repository elsewhere on the server, and uploads pointing at it
+        const secret = repository('secret');
+        const linked = path.join(directory, 'linked');
+        fs.mkdirSync(linked);
+        fs.writeFileSync(path.join(linked, '.git'), `gitdir: ${path.join(secret, '.git')}\n`);
+        const common = repository('common');
+        fs.writeFileSync(path.join(common, '.git', 'commondir'), path.join(secret, '.git'));
+        const alternates = repository('alternates');
+        fs.writeFileSync(path.join(alternates, '.git', 'objects', 'info', 'alternates'), path.join(secret, '.git', 'objects'));
+        // No .git of its own, inside another repository's working tree
+        const nested = path.join(secret, 'nested');
+        fs.mkdirSync(nested);
+
+        const own = repository('own');
+        const gitDir = uploadedGitDir(own);
+        const head = await repositoryHead(own, { ceiling: directory, gitDir });
+        const commits = await readCommits(own, { ceiling: directory, gitDir });
+        const secretHead = await repositoryHead(secret);
+
+        const checks = [
+            ['.git file rejected', /needs its \.git folder/.test(rejection(linked) ?? '')],
+            ['commondir rejected', /\.git\/commondir/.test(rejection(common) ?? '')],
+            ['alternates rejected', /\.git\/objects\/info\/alternates/.test(rejection(alternates) ?? '')],
+            ['missing .git not looked for above', /needs its \.git folder/.test(rejection(nested) ?? '')],
+            ['own repository read', head !== null && head !== secretHead && commits.length === 1 && commits[0].files[0].newPath === 'f.js']
+        ];
+        for (const [name, ok] of checks) {
+            if (ok) console.log(`[PASS] ${name}`);
+            else console.error(`[FAIL] ${name}`);
+        }
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
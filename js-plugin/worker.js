@@ -0,0 +1,13 @@
+// Worker thread for the analysis pool (see pool.js): analyzes one file per message
+const { parentPort } = require('node:worker_threads');
+const { analyzeFileAt } = require('./analyzer');
+
+parentPort.on('message', ({ id, task }) => {
+    try {
+        parentPort.postMessage({ id, result: analyzeFileAt(task.filePath, task.rootPath, task.options) });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});
+
+parentPort.postMessage({ ready: true });